@@ -0,0 +1,66 @@
+// G.711 μ-law helpers. Twilio Media Streams and the Realtime session both use 8kHz μ-law.
+export const MULAW_SAMPLE_RATE = 8000;
+
+// The byte μ-law uses for silence
+export const MULAW_SILENCE = 0xff;
+
+const decodeSample = (byte) => {
+    const value = ~byte & 0xff;
+    const exponent = (value >> 4) & 0x07;
+    const magnitude = (((value & 0x0f) << 3) + 0x84) << exponent;
+    return value & 0x80 ? 0x84 - magnitude : magnitude - 0x84;
+};
+
+const DECODE_TABLE = Int16Array.from({ length: 256 }, (_, byte) => decodeSample(byte));
+
+// μ-law bytes to 16-bit linear PCM samples
+export const decodeMulaw = (bytes) => {
+    const samples = new Int16Array(bytes.length);
+    for (let i = 0; i < bytes.length; i++) samples[i] = DECODE_TABLE[bytes[i]];
+    return samples;
+};
+
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+
+const encodeSample = (sample) => {
+    const sign = sample < 0 ? 0x80 : 0;
+    const magnitude = Math.min(Math.abs(sample), MULAW_CLIP) + MULAW_BIAS;
+    const exponent = Math.max(0, 31 - Math.clz32(magnitude) - 7);
+    const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+    return ~(sign | (exponent << 4) | mantissa) & 0xff;
+};
+
+// 16-bit linear PCM samples to μ-law bytes
+export const encodeMulaw = (samples) => Buffer.from(Array.from(samples, encodeSample));
+
+// 16-bit PCM WAV file with the given channels interleaved; channels must be the same length.
+// Samples are interleaved in an Int16Array rather than written one by one, since a long call has
+// millions of them and this runs on the event loop every live call shares.
+export const encodeWav = (channels, sampleRate = MULAW_SAMPLE_RATE) => {
+    const samples = channels[0].length;
+    const blockAlign = channels.length * 2;
+    const dataBytes = samples * blockAlign;
+    const wav = Buffer.alloc(44 + dataBytes);
+
+    wav.write('RIFF', 0);
+    wav.writeUInt32LE(36 + dataBytes, 4);
+    wav.write('WAVE', 8);
+    wav.write('fmt ', 12);
+    wav.writeUInt32LE(16, 16);
+    wav.writeUInt16LE(1, 20); // PCM
+    wav.writeUInt16LE(channels.length, 22);
+    wav.writeUInt32LE(sampleRate, 24);
+    wav.writeUInt32LE(sampleRate * blockAlign, 28);
+    wav.writeUInt16LE(blockAlign, 32);
+    wav.writeUInt16LE(16, 34);
+    wav.write('data', 36);
+    wav.writeUInt32LE(dataBytes, 40);
+
+    // WAV is little-endian, like typed arrays on every platform Node runs on
+    const interleaved = new Int16Array(wav.buffer, wav.byteOffset + 44, samples * channels.length);
+    channels.forEach((channel, index) => {
+        for (let i = 0; i < samples; i++) interleaved[i * channels.length + index] = channel[i];
+    });
+    return wav;
+};
@@ -0,0 +1,80 @@
+import { MULAW_SAMPLE_RATE, MULAW_SILENCE, decodeMulaw, encodeWav } from './audio.js';
+
+const SAMPLES_PER_MS = MULAW_SAMPLE_RATE / 1000;
+
+// One direction of the call as raw μ-law bytes (one byte per sample), silence where nothing was sent
+const createTrack = () => {
+    let buffer = Buffer.alloc(MULAW_SAMPLE_RATE * 60, MULAW_SILENCE);
+    let length = 0;
+
+    return {
+        get length() {
+            return length;
+        },
+
+        write: (offset, bytes) => {
+            const end = offset + bytes.length;
+            if (end > buffer.length) {
+                const grown = Buffer.alloc(Math.max(end, buffer.length * 2), MULAW_SILENCE);
+                buffer.copy(grown, 0, 0, length);
+                buffer = grown;
+            }
+            bytes.copy(buffer, offset);
+            length = Math.max(length, end);
+        },
+
+        // Drop everything from `offset` on
+        truncate: (offset) => {
+            if (offset >= length) return;
+            buffer.fill(MULAW_SILENCE, offset, length);
+            length = offset;
+        },
+
+        read: (samples) => {
+            const bytes = Buffer.alloc(samples, MULAW_SILENCE);
+            buffer.copy(bytes, 0, 0, Math.min(length, samples));
+            return bytes;
+        }
+    };
+};
+
+// Records both directions of a bridged call on the Twilio media timeline: the caller on the
+// left channel, the agent on the right.
+//
+// Caller frames carry their own media timestamps. Agent chunks are queued at Twilio, so each
+// one starts when the previous one ends, or at the current media timestamp if nothing is queued.
+// When the caller barges in, Twilio discards the queued audio, so the agent track is cut there.
+export const createCallRecorder = () => {
+    const caller = createTrack();
+    const agent = createTrack();
+    // Where the next agent chunk starts, in samples
+    let agentCursor = 0;
+
+    return {
+        addCallerAudio: (payload, mediaTimestamp) => {
+            caller.write(Math.round(Number(mediaTimestamp) * SAMPLES_PER_MS), Buffer.from(payload, 'base64'));
+        },
+
+        addAgentAudio: (audio, mediaTimestamp) => {
+            const start = Math.max(agentCursor, Math.round(Number(mediaTimestamp) * SAMPLES_PER_MS));
+            agent.write(start, audio);
+            agentCursor = start + audio.length;
+        },
+
+        // The caller interrupted at this media timestamp; agent audio after it was never played
+        trimAgentAudio: (mediaTimestamp) => {
+            const at = Math.round(Number(mediaTimestamp) * SAMPLES_PER_MS);
+            agent.truncate(at);
+            agentCursor = Math.min(agentCursor, at);
+        },
+
+        get durationMs() {
+            return Math.max(caller.length, agent.length) / SAMPLES_PER_MS;
+        },
+
+        toWav: () => {
+            const samples = Math.max(caller.length, agent.length);
+            return encodeWav([decodeMulaw(caller.read(samples)), decodeMulaw(agent.read(samples))]);
+        }
+    };
+};
@@ -0,0 +1,48 @@
+// Active /media-stream sessions, keyed by streamSid, plus a feed of what happens on them.
+// The bridge registers each call once Twilio's start event arrives; the /monitor console
+// reads the registry and subscribes to the feed.
+const activeCalls = new Map();
+const listeners = new Set();
+
+// Send an event to every subscriber; a failing listener does not affect the others
+export const publish = (event) => {
+    listeners.forEach(listener => {
+        try {
+            listener(event);
+        } catch (error) {
+            console.error('Error in call event listener:', error);
+        }
+    });
+};
+
+// Listen for call events. Returns a function that stops listening.
+export const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+// What the console shows for a call in its list
+export const summarizeSession = ({ call }) => ({
+    streamSid: call.streamSid,
+    callSid: call.callSid,
+    persona: call.persona,
+    callerNumber: call.callerNumber,
+    direction: call.direction || 'inbound',
+    channel: call.channel,
+    startedAt: call.startedAt
+});
+
+// session: { call, endCall(), injectInstruction(text) }
+export const registerSession = (session) => {
+    activeCalls.set(session.call.streamSid, session);
+    publish({ type: 'call_started', call: summarizeSession(session) });
+};
+
+export const unregisterSession = (streamSid) => {
+    if (!activeCalls.delete(streamSid)) return;
+    publish({ type: 'call_ended', streamSid });
+};
+
+export const getSession = (streamSid) => activeCalls.get(streamSid);
+
+export const listSessions = () => [...activeCalls.values()];
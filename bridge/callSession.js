@@ -0,0 +1,674 @@
+import { DTMF_ENTRY_TIMEOUT_MS, OPENAI_API_KEY, OPENAI_REALTIME_URL, OPENAI_RECONNECT_ATTEMPTS, RECORD_CALLS } from '../config.js';
+import { getSessionTools, runFunctionCall } from '../tools/index.js';
+import { saveCall } from '../stores/callStore.js';
+import { isTransferConfigured, transferCall } from '../services/transfer.js';
+import { describeContext, takeOutboundContext } from '../services/outbound.js';
+import { getPersona } from '../services/personas.js';
+import { baseLanguage, detectLanguage } from '../services/languageDetection.js';
+import { rememberCall, summarizeProfile } from '../services/callerMemory.js';
+import { canTextShortlist, sendShortlist } from '../services/shortlist.js';
+import { summarizeCall } from '../services/callSummary.js';
+import { exportCallSummary, isCrmExportConfigured } from '../services/crmExport.js';
+import { redirectToFallback } from '../services/fallback.js';
+import { isTwilioConfigured, updateCall } from '../services/twilio.js';
+import { activeCalls, callDuration, interruptions, recordRateLimits, responseLatency } from '../services/metrics.js';
+import { getCallerProfile } from '../stores/callerProfileStore.js';
+import { saveRecording } from '../stores/recordingStore.js';
+import { createPlaybackTracker } from './playbackTracker.js';
+import { createRealtimeConnection } from './realtimeConnection.js';
+import { publish, registerSession, unregisterSession } from './callRegistry.js';
+import { createCallRecorder } from './callRecorder.js';
+import { createKeypadCollector, describeKeypadEntry } from './keypad.js';
+
+// List of Event Types to log to the console. See the OpenAI Realtime API Documentation: https://platform.openai.com/docs/api-reference/realtime
+const LOG_EVENT_TYPES = [
+    'error',
+    'response.content.done',
+    'rate_limits.updated',
+    'response.done',
+    'input_audio_buffer.committed',
+    'input_audio_buffer.speech_stopped',
+    'input_audio_buffer.speech_started',
+    'session.created'
+];
+
+// Show AI response elapsed timing calculations
+const SHOW_TIMING_MATH = false;
+
+// Clients must send a valid start event within this time
+const STREAM_START_TIMEOUT_MS = 10000;
+
+// Caller audio kept while the OpenAI connection is down (Twilio sends 20ms frames, so 5 seconds)
+const MAX_BUFFERED_AUDIO_FRAMES = 250;
+
+// Caller utterances checked for their language before the persona's language is kept
+const LANGUAGE_DETECTION_UTTERANCES = 3;
+
+// Bridge one call between a transport (Twilio Media Streams or a browser, see bridge/transports) and an
+// OpenAI Realtime session. Transports emit 'start', 'audio' (base64 μ-law with a media timestamp in ms),
+// 'mark', 'dtmf' and 'close', and play agent audio with sendAudio, sendMark and clearAudio.
+// baseUrl is this server's public URL, for the callbacks Twilio makes during transfers and fallbacks.
+export const bridgeCall = (transport, { baseUrl }) => {
+
+    // Connection-specific state
+    let streamSid = null;
+    let latestMediaTimestamp = 0;
+    const playback = createPlaybackTracker();
+
+    // The response currently being generated, and responses cancelled by a barge-in
+    // whose remaining audio deltas must be dropped
+    let activeResponseId = null;
+    const cancelledResponseIds = new Set();
+
+    // The session is configured once the OpenAI socket is open and Twilio's start event
+    // has delivered the stream's custom parameters (e.g. outbound call context)
+    let openAiReady = false;
+    let streamStarted = false;
+    let sessionInitialized = false;
+    let outboundContext = null;
+    let persona = null;
+    let callerProfile = null;
+    // When the caller last stopped speaking, until the first audio of the reply (response latency)
+    let speechStoppedAt = null;
+    // The caller's language is settled by the keypad menu, or detected from their first utterances.
+    // The Realtime API keeps the voice once audio has been generated, so only instructions change after that.
+    let languageSettled = false;
+    let callerUtterances = 0;
+    let agentAudioSent = false;
+
+    // Both directions of the call, when recording is enabled
+    const recorder = RECORD_CALLS ? createCallRecorder() : null;
+
+    // Call-scoped state shared with tool handlers (e.g. the caller's chosen store)
+    const callState = {};
+
+    // Keypad input, set up once the persona (and its shortcuts) is known
+    let keypad = null;
+
+    // Ordered transcript for this call, persisted once the stream has started
+    const call = {
+        streamSid: null,
+        callSid: null,
+        startedAt: new Date().toISOString(),
+        endedAt: null,
+        transcript: []
+    };
+
+    const addTranscriptEntry = (entry) => {
+        const stamped = { at: new Date().toISOString(), ...entry };
+        call.transcript.push(stamped);
+        if (call.streamSid) {
+            saveCall(call);
+            publish({ type: 'transcript', streamSid: call.streamSid, entry: stamped });
+        }
+    };
+
+    // Caller audio that arrived while the OpenAI connection was down, replayed once it is back
+    let bufferedAudio = [];
+
+    // Persona instructions plus anything known about this particular call
+    const buildInstructions = () => [
+        persona.instructions,
+        outboundContext && `This is an outbound call that you placed to the customer, not a call they made to you. The reason for the call: ${describeContext(outboundContext)}`,
+        summarizeProfile(callerProfile)
+    ].filter(Boolean).join(' ');
+
+    // Session settings for the current persona. Once the language is settled, transcription is told it too.
+    const buildSessionUpdate = ({ includeVoice = true } = {}) => ({
+        type: 'session.update',
+        session: {
+            turn_detection: persona.turnDetection,
+            input_audio_format: 'g711_ulaw',
+            output_audio_format: 'g711_ulaw',
+            input_audio_transcription: {
+                model: 'whisper-1',
+                ...(languageSettled && { language: baseLanguage(persona.language) })
+            },
+            ...(includeVoice && { voice: persona.voice }),
+            instructions: buildInstructions(),
+            modalities: ["text", "audio"],
+            temperature: persona.temperature,
+            tools: getSessionTools(persona.tools),
+            tool_choice: 'auto'
+        }
+    });
+
+    // Control initial session with OpenAI. After a reconnect the conversation so far is
+    // replayed instead of greeting the caller again.
+    const initializeSession = ({ resumed = false } = {}) => {
+        const sessionUpdate = buildSessionUpdate();
+        console.log('Sending session update:', JSON.stringify(sessionUpdate));
+        openAiWs.send(sessionUpdate);
+
+        if (resumed) {
+            replayConversation();
+        } else {
+            // Uncomment the following line to have AI speak first:
+            sendInitialConversationItem();
+        }
+        flushBufferedAudio();
+    };
+
+    // Rebuild the conversation on a fresh Realtime session from the transcript
+    const replayConversation = () => {
+        const items = call.transcript.map(entry => {
+            switch (entry.type) {
+                case 'caller':
+                    return { type: 'message', role: 'user', content: [{ type: 'input_text', text: entry.text }] };
+                case 'assistant':
+                    return { type: 'message', role: 'assistant', content: [{ type: 'text', text: entry.text }] };
+                case 'tool_call':
+                    return { type: 'function_call', call_id: entry.callId, name: entry.name, arguments: entry.arguments };
+                case 'tool_result':
+                    return { type: 'function_call_output', call_id: entry.callId, output: JSON.stringify(entry.output) };
+                case 'supervisor':
+                    return entry.text ? { type: 'message', role: 'system', content: [{ type: 'input_text', text: entry.text }] } : null;
+                case 'keypad':
+                    return entry.shortcut
+                        ? { type: 'message', role: 'system', content: [{ type: 'input_text', text: entry.text }] }
+                        : { type: 'message', role: 'user', content: [{ type: 'input_text', text: describeKeypadEntry(entry.digits) }] };
+                default:
+                    return null;
+            }
+        }).filter(item => item && (item.type !== 'message' || item.content[0].text));
+
+        items.forEach(item => openAiWs.send({ type: 'conversation.item.create', item }));
+        console.log(`Replayed ${items.length} conversation item(s) after reconnecting`);
+
+        // The agent still owed the caller a reply when the connection dropped (supervisor notes don't count)
+        const last = items.filter(item => item.role !== 'system').pop();
+        if (last && (last.type === 'function_call_output' || last.role === 'user')) {
+            openAiWs.send({ type: 'response.create' });
+        }
+    };
+
+    const flushBufferedAudio = () => {
+        bufferedAudio.forEach(audio => openAiWs.send({ type: 'input_audio_buffer.append', audio }));
+        bufferedAudio = [];
+    };
+
+    // The Realtime API could not be reached again: apologize and hand the call to the fallback TwiML
+    const handleRealtimeFailure = async () => {
+        call.realtimeFailure = { at: new Date().toISOString() };
+        if (!call.callSid || !persona || !isTwilioConfigured()) {
+            saveCall(call);
+            transport.close();
+            return;
+        }
+
+        try {
+            call.realtimeFailure.fallback = await redirectToFallback({
+                callSid: call.callSid,
+                persona,
+                voicemailActionUrl: `${baseUrl}/voicemail-complete/${streamSid}`
+            });
+        } catch (error) {
+            console.error('Error redirecting call to fallback:', error);
+            call.realtimeFailure.error = error.message;
+            transport.close();
+        }
+        saveCall(call);
+    };
+
+    const initializeSessionWhenReady = () => {
+        if (openAiReady && streamStarted && !sessionInitialized) {
+            sessionInitialized = true;
+            setTimeout(initializeSession, 100);
+        }
+    };
+
+    // Send initial conversation item if AI talks first
+    const sendInitialConversationItem = () => {
+        const initialConversationItem = {
+            type: 'conversation.item.create',
+            item: {
+                type: 'message',
+                role: 'user',
+                content: [
+                    {
+                        type: 'input_text',
+                        text: outboundContext
+                            ? `The customer has just answered your call. Greet them, introduce yourself as Cypher from Best Buy, briefly explain why you are calling (${describeContext(outboundContext)}) and ask if they have any questions.`
+                            : `Greet the user with "${persona.greeting}"`
+                    }
+                ]
+            }
+        };
+
+        if (SHOW_TIMING_MATH) console.log('Sending initial conversation item:', JSON.stringify(initialConversationItem));
+        openAiWs.send(initialConversationItem);
+        openAiWs.send({ type: 'response.create' });
+    };
+
+    // Redirect the call to a human once the agent's hand-off line has finished playing
+    const completeTransfer = async () => {
+        const transfer = callState.pendingTransfer;
+        if (!transfer || transfer.started) return;
+        transfer.started = true;
+        clearTimeout(transfer.timer);
+
+        call.transfer = { reason: transfer.reason, requestedAt: new Date().toISOString(), status: 'pending' };
+        try {
+            const { target } = await transferCall({
+                callSid: call.callSid,
+                reason: transfer.reason,
+                transcript: call.transcript,
+                whisperUrl: `${baseUrl}/transfer-whisper/${streamSid}`
+            });
+            call.transfer = { ...call.transfer, target, status: 'completed' };
+            console.log(`Transferred call ${call.callSid} to ${target}: ${transfer.reason}`);
+        } catch (error) {
+            call.transfer = { ...call.transfer, status: 'failed', error: error.message };
+            console.error('Error transferring call:', error);
+        }
+        addTranscriptEntry({ type: 'transfer', ...call.transfer });
+    };
+
+    // Supervisor actions from the /monitor console
+    const injectInstruction = (text) => {
+        openAiWs.send({
+            type: 'conversation.item.create',
+            item: { type: 'message', role: 'system', content: [{ type: 'input_text', text }] }
+        });
+        addTranscriptEntry({ type: 'supervisor', action: 'instruction', text });
+    };
+
+    // Keypad input takes the floor like speech: stop the agent, add the item and ask for a reply.
+    // If the OpenAI connection is down, the transcript entry is replayed on reconnect instead.
+    const sendKeypadItem = (role, text) => {
+        if (!sessionInitialized || !openAiWs.isOpen) return;
+        handleSpeechStartedEvent();
+        openAiWs.send({
+            type: 'conversation.item.create',
+            item: { type: 'message', role, content: [{ type: 'input_text', text }] }
+        });
+        openAiWs.send({ type: 'response.create' });
+    };
+
+    // Digits typed by the caller, e.g. a SKU or ZIP code that speech recognition keeps garbling
+    const handleKeypadEntry = (digits) => {
+        console.log(`Caller keyed in ${digits}`);
+        addTranscriptEntry({ type: 'keypad', digits });
+        sendKeypadItem('user', describeKeypadEntry(digits));
+    };
+
+    // A key pressed on its own with a persona shortcut: 'transfer' hands the call to a person
+    // the same way transferToHuman does, 'repeat' asks the agent for its last results again
+    const handleKeypadShortcut = (action, key) => {
+        let text;
+        if (action === 'transfer') {
+            if (isTransferConfigured() && call.callSid && !callState.pendingTransfer) {
+                callState.pendingTransfer = { reason: `caller pressed ${key} for a person` };
+                text = `The caller pressed ${key} to speak with a person. Tell them, in one short sentence, that you are connecting them with a team member now. Do not ask any further questions.`;
+            } else {
+                text = `The caller pressed ${key} to speak with a person, but a transfer is not possible right now. Apologize briefly and keep helping them yourself.`;
+            }
+        } else {
+            const lastResult = call.transcript.findLast(entry => entry.type === 'tool_result' && !entry.output?.error);
+            text = lastResult
+                ? `The caller pressed ${key} to hear the last results again. Briefly repeat what your last ${lastResult.name} call returned, including any SKUs.`
+                : `The caller pressed ${key} to repeat the last results, but you have not looked anything up yet. Say so and ask what they are looking for.`;
+        }
+
+        console.log(`Caller pressed ${key}: ${action}`);
+        addTranscriptEntry({ type: 'keypad', digits: key, shortcut: action, text });
+        sendKeypadItem('system', text);
+    };
+
+    // Look for the caller's language in their first few utterances. When it has a language variant
+    // (e.g. sales → spanish), switch the session to that persona and greet the caller again in their language.
+    const detectCallerLanguage = (text) => {
+        if (languageSettled || !text) return;
+        const language = detectLanguage(text);
+        callerUtterances++;
+        if (!language && callerUtterances < LANGUAGE_DETECTION_UTTERANCES) return;
+
+        languageSettled = true;
+        const variantId = language && persona.languageVariants[language];
+        if (!variantId || language === baseLanguage(persona.language)) return;
+
+        persona = getPersona(variantId);
+        call.persona = persona.id;
+        console.log(`Caller speaks ${language}, switching to persona ${persona.id}`);
+        addTranscriptEntry({ type: 'language', language, persona: persona.id });
+
+        // After a reconnect the new persona's session is sent anyway
+        if (!sessionInitialized || !openAiWs.isOpen) return;
+        handleSpeechStartedEvent();
+        openAiWs.send(buildSessionUpdate({ includeVoice: !agentAudioSent }));
+        openAiWs.send({
+            type: 'conversation.item.create',
+            item: {
+                type: 'message',
+                role: 'system',
+                content: [{
+                    type: 'input_text',
+                    text: `The caller speaks ${persona.language}. From now on speak only that language. Greet them with "${persona.greeting}" and then answer what they just said.`
+                }]
+            }
+        });
+        openAiWs.send({ type: 'response.create' });
+    };
+
+    // End the call through Twilio when possible, otherwise just drop the media stream
+    const endCall = async () => {
+        addTranscriptEntry({ type: 'supervisor', action: 'end_call' });
+        if (call.callSid && isTwilioConfigured()) {
+            try {
+                await updateCall(call.callSid, '<?xml version="1.0" encoding="UTF-8"?><Response><Hangup/></Response>');
+                return;
+            } catch (error) {
+                console.error('Error hanging up call:', error);
+            }
+        }
+        transport.close();
+    };
+
+    // Handle interruption when the caller's speech starts: stop generation, flush Twilio's
+    // buffer and truncate each unfinished assistant item to what the caller actually heard
+    const handleSpeechStartedEvent = () => {
+        if (activeResponseId) {
+            openAiWs.send({ type: 'response.cancel' });
+            cancelledResponseIds.add(activeResponseId);
+            activeResponseId = null;
+        }
+
+        if (!playback.isPlaying) return;
+
+        interruptions.inc();
+        recorder?.trimAgentAudio(latestMediaTimestamp);
+        const heard = playback.interrupt(latestMediaTimestamp);
+        heard.forEach(({ itemId, audioEndMs }) => {
+            const truncateEvent = {
+                type: 'conversation.item.truncate',
+                item_id: itemId,
+                content_index: 0,
+                audio_end_ms: audioEndMs
+            };
+            if (SHOW_TIMING_MATH) console.log('Sending truncation event:', JSON.stringify(truncateEvent));
+            openAiWs.send(truncateEvent);
+        });
+
+        transport.clearAudio();
+    };
+
+    // Forward a chunk of assistant audio followed by a uniquely named mark, so we know
+    // exactly when (and whether) the caller heard it
+    const sendAudioChunk = (response) => {
+        const audio = Buffer.from(response.delta, 'base64');
+        agentAudioSent = true;
+        recorder?.addAgentAudio(audio, latestMediaTimestamp);
+        transport.sendAudio(audio.toString('base64'));
+
+        const name = playback.recordChunk({
+            itemId: response.item_id,
+            responseId: response.response_id,
+            bytes: audio.length,
+            mediaTimestamp: latestMediaTimestamp
+        });
+        transport.sendMark(name);
+    };
+
+    // Listen for messages from the OpenAI WebSocket (and send to Twilio if necessary)
+    const handleOpenAiMessage = async (data) => {
+        try {
+            const response = JSON.parse(data);
+
+            if (LOG_EVENT_TYPES.includes(response.type)) {
+                console.log(`Received event: ${response.type}`, response);
+            }
+
+            // Handle function calls
+            if (response.type === 'response.done' && response.response.output) {
+                const functionCalls = response.response.output.filter(item => item.type === 'function_call');
+
+                // The hand-off line has been generated; transfer when its audio has played (or after a safety timeout)
+                if (functionCalls.length === 0 && callState.pendingTransfer && !callState.pendingTransfer.timer) {
+                    callState.pendingTransfer.timer = setTimeout(completeTransfer, 10000);
+                    if (!playback.isPlaying) completeTransfer();
+                }
+
+                if (functionCalls.length > 0) {
+                    console.log('Function calls detected:', functionCalls);
+
+                    // Run every call in this response concurrently, then ask for a single follow-up response
+                    const functionCallOutputs = await Promise.all(functionCalls.map(async (functionCall) => {
+                        addTranscriptEntry({
+                            type: 'tool_call',
+                            callId: functionCall.call_id,
+                            name: functionCall.name,
+                            arguments: functionCall.arguments
+                        });
+                        const result = await runFunctionCall(functionCall, {
+                            streamSid,
+                            callSid: call.callSid,
+                            callerNumber: call.callerNumber,
+                            callState,
+                            allowedTools: persona.tools
+                        });
+                        addTranscriptEntry({
+                            type: 'tool_result',
+                            callId: functionCall.call_id,
+                            name: functionCall.name,
+                            output: result
+                        });
+                        return {
+                            type: 'conversation.item.create',
+                            item: {
+                                type: 'function_call_output',
+                                call_id: functionCall.call_id,
+                                output: JSON.stringify(result)
+                            }
+                        };
+                    }));
+
+                    // If the connection dropped meanwhile, the results are replayed from the transcript on reconnect
+                    if (openAiWs.isOpen) {
+                        functionCallOutputs.forEach(output => openAiWs.send(output));
+                        openAiWs.send({ type: 'response.create' });
+                    }
+                }
+            }
+
+            if (response.type === 'response.created') {
+                activeResponseId = response.response.id;
+            }
+
+            if (response.type === 'response.done' && response.response.id === activeResponseId) {
+                activeResponseId = null;
+            }
+
+            if (response.type === 'response.audio.delta' && response.delta && streamSid &&
+                !cancelledResponseIds.has(response.response_id)) {
+                if (speechStoppedAt !== null) {
+                    responseLatency.observe({}, (performance.now() - speechStoppedAt) / 1000);
+                    speechStoppedAt = null;
+                }
+                sendAudioChunk(response);
+            }
+
+            if (response.type === 'input_audio_buffer.speech_stopped') {
+                speechStoppedAt = performance.now();
+            }
+
+            if (response.type === 'rate_limits.updated') {
+                recordRateLimits(response.rate_limits);
+            }
+
+            if (response.type === 'input_audio_buffer.speech_started') {
+                handleSpeechStartedEvent();
+            }
+
+            // Collect what was said on both sides of the call
+            if (response.type === 'conversation.item.input_audio_transcription.completed') {
+                addTranscriptEntry({ type: 'caller', itemId: response.item_id, text: response.transcript });
+                detectCallerLanguage(response.transcript);
+            }
+
+            if (response.type === 'response.audio_transcript.done') {
+                addTranscriptEntry({ type: 'assistant', itemId: response.item_id, text: response.transcript });
+            }
+        } catch (error) {
+            console.error('Error processing OpenAI message:', error, 'Raw message:', data);
+        }
+    };
+
+    // Opened once Twilio's start event has been verified
+    let openAiWs = null;
+    const connectRealtime = () => openAiWs = createRealtimeConnection({
+        url: OPENAI_REALTIME_URL,
+        headers: {
+            Authorization: `Bearer ${OPENAI_API_KEY}`,
+            "OpenAI-Beta": "realtime=v1"
+        },
+        maxAttempts: OPENAI_RECONNECT_ATTEMPTS,
+        onOpen: ({ resumed }) => {
+            activeResponseId = null;
+            if (resumed && sessionInitialized) {
+                initializeSession({ resumed: true });
+                return;
+            }
+            openAiReady = true;
+            initializeSessionWhenReady();
+        },
+        onMessage: handleOpenAiMessage,
+        onGiveUp: handleRealtimeFailure
+    });
+
+    const startTimer = setTimeout(() => {
+        console.warn('Closing media stream that sent no valid start event');
+        transport.close(1008, 'No start event');
+    }, STREAM_START_TIMEOUT_MS);
+
+    transport.on('audio', ({ payload, timestamp }) => {
+        latestMediaTimestamp = timestamp;
+        if (SHOW_TIMING_MATH) console.log(`Received media message with timestamp: ${latestMediaTimestamp}ms`);
+        recorder?.addCallerAudio(payload, latestMediaTimestamp);
+        if (!sessionInitialized || !openAiWs.send({ type: 'input_audio_buffer.append', audio: payload })) {
+            bufferedAudio.push(payload);
+            if (bufferedAudio.length > MAX_BUFFERED_AUDIO_FRAMES) bufferedAudio.shift();
+        }
+    });
+
+    transport.on('start', ({ streamSid: startedStreamSid, callSid, parameters }) => {
+        clearTimeout(startTimer);
+        connectRealtime();
+        activeCalls.inc();
+
+        streamSid = startedStreamSid;
+        console.log(`Incoming ${transport.kind} stream has started`, streamSid);
+
+        call.streamSid = streamSid;
+        call.callSid = callSid;
+        call.channel = transport.kind;
+        saveCall(call);
+
+        // Reset media timestamp on a new stream
+        latestMediaTimestamp = 0;
+
+        persona = getPersona(parameters.persona);
+        call.persona = persona.id;
+        languageSettled = parameters.languageChosen === 'true';
+        keypad = createKeypadCollector({
+            timeoutMs: DTMF_ENTRY_TIMEOUT_MS,
+            shortcuts: persona.keypadShortcuts,
+            onEntry: handleKeypadEntry,
+            onShortcut: handleKeypadShortcut
+        });
+
+        if (parameters.outboundContextId) {
+            outboundContext = takeOutboundContext(parameters.outboundContextId);
+            call.direction = 'outbound';
+            call.context = outboundContext;
+        }
+
+        // Returning callers get a summary of earlier calls in the instructions
+        call.callerNumber = parameters.callerNumber || null;
+        registerSession({ call, endCall, injectInstruction });
+        getCallerProfile(call.callerNumber)
+            .catch(error => console.error('Error loading caller profile:', error))
+            .then(profile => {
+                callerProfile = profile || null;
+                streamStarted = true;
+                initializeSessionWhenReady();
+            });
+    });
+
+    transport.on('mark', (name) => {
+        // Marks flushed by a 'clear' belong to audio that was never heard and are ignored
+        if (playback.acknowledge(name, latestMediaTimestamp)) {
+            if (SHOW_TIMING_MATH) console.log(`Caller heard audio up to mark ${name} at ${latestMediaTimestamp}ms`);
+        }
+        if (!playback.isPlaying && callState.pendingTransfer?.timer) {
+            completeTransfer();
+        }
+    });
+
+    transport.on('dtmf', (digit) => keypad?.press(digit));
+
+    // Handle connection close
+    transport.on('close', () => {
+        clearTimeout(startTimer);
+        keypad?.cancel();
+        openAiWs?.close();
+        clearTimeout(callState.pendingTransfer?.timer);
+
+        call.endedAt = new Date().toISOString();
+        if (call.streamSid) {
+            activeCalls.dec();
+            callDuration.observe({}, (Date.parse(call.endedAt) - Date.parse(call.startedAt)) / 1000);
+            unregisterSession(call.streamSid);
+            saveCall(call);
+        }
+        rememberCall(call, callState);
+        textShortlist();
+        saveCallRecording();
+        summarizeAndExportCall();
+        console.log('Client disconnected.');
+    });
+
+    // Write the stereo WAV and note it on the call record
+    const saveCallRecording = async () => {
+        if (!recorder || !call.streamSid || recorder.durationMs === 0) return;
+
+        try {
+            await saveRecording(call.streamSid, recorder.toWav());
+            call.recording = { durationSeconds: recorder.durationMs / 1000, savedAt: new Date().toISOString() };
+            await saveCall(call);
+        } catch (error) {
+            console.error('Error saving call recording:', error);
+        }
+    };
+
+    // Post-call pipeline: keep a structured summary on the call record and send it to the CRM webhook
+    const summarizeAndExportCall = async () => {
+        if (!call.streamSid) return;
+
+        try {
+            call.summary = await summarizeCall(call, callState);
+            await saveCall(call);
+            if (!isCrmExportConfigured()) return;
+
+            const { delivered, attempts } = await exportCallSummary(call.summary);
+            call.crmExport = { delivered, attempts, at: new Date().toISOString() };
+            await saveCall(call);
+        } catch (error) {
+            console.error('Error summarizing call:', error);
+        }
+    };
+
+    // Text the caller anything they saved during the call
+    const textShortlist = async () => {
+        if (!callState.shortlist?.length || !canTextShortlist(call.callerNumber)) return;
+
+        try {
+            const { messageSid, items } = await sendShortlist({ to: call.callerNumber, shortlist: callState.shortlist });
+            call.shortlistMessage = { messageSid, items, sentAt: new Date().toISOString() };
+            console.log(`Texted shortlist of ${items.length} item(s) to ${call.callerNumber}`);
+        } catch (error) {
+            call.shortlistMessage = { error: error.message };
+            console.error('Error texting shortlist:', error);
+        }
+        saveCall(call);
+    };
+};
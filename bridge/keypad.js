@@ -0,0 +1,47 @@
+// Longest keypad entry kept; anything beyond this is dropped
+const MAX_ENTRY_DIGITS = 20;
+
+// What the model is told about a keypad entry, live and when the conversation is replayed
+export const describeKeypadEntry = (digits) =>
+    `The caller typed ${digits} on their phone keypad. These digits are exact, so use them instead of anything you may have misheard, e.g. as a SKU for bestBuySpecificSearch or a ZIP code for bestBuyStoreAvailability.`;
+
+// Collect DTMF key presses from the media stream into entries. An entry ends with '#' or after
+// `timeoutMs` without a key press. A key with a shortcut runs it when pressed on its own: '*' right
+// away, a digit only when it is the whole entry (so a ZIP code can still start with 0).
+// '*' in the middle of an entry starts the entry over.
+export const createKeypadCollector = ({ timeoutMs, shortcuts = {}, onEntry, onShortcut }) => {
+    let digits = '';
+    let timer = null;
+
+    const reset = () => {
+        clearTimeout(timer);
+        timer = null;
+        digits = '';
+    };
+
+    const submit = () => {
+        const entry = digits;
+        reset();
+        if (!entry) return;
+        if (shortcuts[entry]) onShortcut(shortcuts[entry], entry);
+        else onEntry(entry);
+    };
+
+    return {
+        press: (key) => {
+            if (key === '#') {
+                submit();
+            } else if (key === '*') {
+                if (digits) reset();
+                else if (shortcuts['*']) onShortcut(shortcuts['*'], '*');
+            } else if (/^\d$/.test(key) && digits.length < MAX_ENTRY_DIGITS) {
+                digits += key;
+                clearTimeout(timer);
+                timer = setTimeout(submit, timeoutMs);
+            }
+        },
+
+        // Drop a partial entry, e.g. when the call ends
+        cancel: reset
+    };
+};
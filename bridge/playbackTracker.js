@@ -0,0 +1,83 @@
+// Tracks which assistant audio the caller has actually heard.
+//
+// Every audio chunk forwarded to the caller is followed by a uniquely named mark that
+// records the assistant item it belongs to and its byte range within that item. The
+// far end echoes a mark once the audio before it has played, which moves the playhead.
+// On barge-in the tracker reports, per item, how many milliseconds were really heard.
+//
+// g711 μ-law at 8kHz is 8 bytes per millisecond; pass bytesPerMs for other formats.
+export const createPlaybackTracker = ({ bytesPerMs = 8 } = {}) => {
+    let sequence = 0;
+
+    // Chunks sent but not yet acknowledged, oldest first
+    let pending = [];
+
+    // Bytes sent so far for each assistant item
+    const sentBytes = new Map();
+
+    // Media timestamp at which the oldest pending chunk started playing
+    let playheadStartedAt = null;
+
+    // Record a forwarded chunk and return the name of the mark to send after it
+    const recordChunk = ({ itemId, responseId, bytes, mediaTimestamp }) => {
+        const startByte = sentBytes.get(itemId) || 0;
+        const endByte = startByte + bytes;
+        sentBytes.set(itemId, endByte);
+
+        // Nothing was queued, so this chunk starts playing right away
+        if (pending.length === 0) playheadStartedAt = Number(mediaTimestamp);
+
+        const name = `${itemId}:${endByte}:${++sequence}`;
+        pending.push({
+            name,
+            itemId,
+            responseId,
+            startMs: startByte / bytesPerMs,
+            endMs: endByte / bytesPerMs
+        });
+        return name;
+    };
+
+    // A mark came back: everything up to and including it has played.
+    // Returns false for stale marks (e.g. flushed after a barge-in), which are ignored.
+    const acknowledge = (name, mediaTimestamp) => {
+        const index = pending.findIndex(chunk => chunk.name === name);
+        if (index === -1) return false;
+
+        pending = pending.slice(index + 1);
+        playheadStartedAt = pending.length > 0 ? Number(mediaTimestamp) : null;
+        return true;
+    };
+
+    // Caller barged in: work out how much of each unfinished item was heard and forget the queue.
+    // The chunk playing now is credited with the time elapsed since it started, capped at its length.
+    const interrupt = (mediaTimestamp) => {
+        if (pending.length === 0) return [];
+
+        const [current] = pending;
+        const elapsed = Math.max(0, Number(mediaTimestamp) - playheadStartedAt);
+        const partial = Math.min(elapsed, current.endMs - current.startMs);
+
+        const heard = new Map();
+        for (const chunk of pending) {
+            if (!heard.has(chunk.itemId)) heard.set(chunk.itemId, Math.floor(chunk.startMs));
+        }
+        heard.set(current.itemId, Math.floor(current.startMs + partial));
+
+        pending = [];
+        playheadStartedAt = null;
+        return [...heard].map(([itemId, audioEndMs]) => ({ itemId, audioEndMs }));
+    };
+
+    return {
+        recordChunk,
+        acknowledge,
+        interrupt,
+        get isPlaying() {
+            return pending.length > 0;
+        },
+        get pendingCount() {
+            return pending.length;
+        }
+    };
+};
@@ -0,0 +1,70 @@
+import WebSocket from 'ws';
+
+const BASE_RETRY_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 8000;
+
+// OpenAI Realtime socket for one call. If it drops mid-call it reconnects with exponential
+// backoff; onOpen({ resumed: true }) tells the caller to restore the session. After
+// maxAttempts consecutive failures onGiveUp is called instead.
+export const createRealtimeConnection = ({ url, headers, maxAttempts, onOpen, onMessage, onGiveUp }) => {
+    let ws = null;
+    let attempts = 0;
+    let hasConnected = false;
+    let closedByUs = false;
+    let retryTimer = null;
+
+    const connect = () => {
+        ws = new WebSocket(url, { headers });
+
+        ws.on('open', () => {
+            console.log('Connected to the OpenAI Realtime API');
+            const resumed = hasConnected;
+            hasConnected = true;
+            attempts = 0;
+            onOpen({ resumed });
+        });
+
+        ws.on('message', onMessage);
+
+        ws.on('error', (error) => {
+            console.error('Error in the OpenAI WebSocket:', error);
+        });
+
+        ws.on('close', () => {
+            console.log('Disconnected from the OpenAI Realtime API');
+            if (closedByUs) return;
+
+            if (attempts >= maxAttempts) {
+                console.error(`Giving up on the OpenAI Realtime API after ${attempts} reconnection attempts`);
+                onGiveUp();
+                return;
+            }
+
+            const delay = Math.min(BASE_RETRY_DELAY_MS * 2 ** attempts, MAX_RETRY_DELAY_MS);
+            attempts++;
+            console.log(`Reconnecting to the OpenAI Realtime API in ${delay}ms (attempt ${attempts} of ${maxAttempts})`);
+            retryTimer = setTimeout(connect, delay);
+        });
+    };
+
+    connect();
+
+    return {
+        get isOpen() {
+            return ws.readyState === WebSocket.OPEN;
+        },
+
+        // Send an event if the socket is open. Returns false if it was dropped.
+        send: (event) => {
+            if (ws.readyState !== WebSocket.OPEN) return false;
+            ws.send(JSON.stringify(event));
+            return true;
+        },
+
+        close: () => {
+            closedByUs = true;
+            clearTimeout(retryTimer);
+            if (ws.readyState === WebSocket.OPEN || ws.readyState === WebSocket.CONNECTING) ws.close();
+        }
+    };
+};
@@ -0,0 +1,73 @@
+import crypto from 'node:crypto';
+import WebSocket from 'ws';
+import { MULAW_SAMPLE_RATE, decodeMulaw, encodeMulaw } from '../audio.js';
+
+// Browser microphone and speaker as a call transport (see public/browser-call.html). The page sends
+// and receives base64 16-bit little-endian PCM at 8kHz, transcoded here to and from the session's μ-law:
+//   client → server: { type: 'start', persona }, { type: 'audio', audio }, { type: 'mark', name }, { type: 'dtmf', digit }
+//   server → client: { type: 'started', streamSid }, { type: 'audio', audio }, { type: 'mark', name }, { type: 'clear' }
+// The page echoes each mark once the audio before it has played, like Twilio does.
+export const createBrowserTransport = (socket) => {
+    const handlers = {};
+    let streamSid = null;
+    // The browser has no media clock of its own on the wire, so time is counted in samples received
+    let samplesReceived = 0;
+
+    const emit = (event, ...args) => handlers[event]?.(...args);
+    const send = (event) => {
+        if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(event));
+    };
+
+    socket.on('message', (message) => {
+        try {
+            const data = JSON.parse(message);
+
+            switch (data.type) {
+                case 'audio': {
+                    if (!streamSid) break;
+                    const pcm = Buffer.from(data.audio, 'base64');
+                    const samples = Int16Array.from({ length: pcm.length >> 1 }, (_, i) => pcm.readInt16LE(i * 2));
+                    samplesReceived += samples.length;
+                    emit('audio', {
+                        payload: encodeMulaw(samples).toString('base64'),
+                        timestamp: Math.round(samplesReceived * 1000 / MULAW_SAMPLE_RATE)
+                    });
+                    break;
+                }
+                case 'start':
+                    if (streamSid) break;
+                    streamSid = `BR${crypto.randomBytes(16).toString('hex')}`;
+                    send({ type: 'started', streamSid });
+                    emit('start', { streamSid, callSid: null, parameters: { persona: data.persona } });
+                    break;
+                case 'mark':
+                    emit('mark', data.name);
+                    break;
+                case 'dtmf':
+                    emit('dtmf', data.digit);
+                    break;
+                default:
+                    console.log('Received unknown browser event:', data.type);
+                    break;
+            }
+        } catch (error) {
+            console.error('Error parsing browser message:', error);
+        }
+    });
+
+    socket.on('close', () => emit('close'));
+
+    return {
+        kind: 'browser',
+        on: (event, handler) => { handlers[event] = handler; },
+        sendAudio: (payload) => {
+            const samples = decodeMulaw(Buffer.from(payload, 'base64'));
+            const pcm = Buffer.alloc(samples.length * 2);
+            samples.forEach((sample, i) => pcm.writeInt16LE(sample, i * 2));
+            send({ type: 'audio', audio: pcm.toString('base64') });
+        },
+        sendMark: (name) => send({ type: 'mark', name }),
+        clearAudio: () => send({ type: 'clear' }),
+        close: (code, reason) => socket.close(code, reason)
+    };
+};
@@ -0,0 +1,66 @@
+import WebSocket from 'ws';
+import { isStreamAuthEnabled, verifyStreamToken } from '../../services/callSecurity.js';
+
+// Twilio Media Streams as a call transport. Audio is base64 μ-law in both directions, and the start
+// event's stream token is checked here since only Twilio calls get one (see /incoming-call).
+export const createTwilioTransport = (connection) => {
+    const handlers = {};
+    let streamSid = null;
+
+    const emit = (event, ...args) => handlers[event]?.(...args);
+    const send = (event) => {
+        if (connection.readyState === WebSocket.OPEN) connection.send(JSON.stringify({ ...event, streamSid }));
+    };
+
+    connection.on('message', (message) => {
+        try {
+            const data = JSON.parse(message);
+
+            switch (data.event) {
+                case 'media':
+                    emit('audio', { payload: data.media.payload, timestamp: Number(data.media.timestamp) });
+                    break;
+                case 'start': {
+                    if (streamSid) break;
+
+                    const parameters = data.start.customParameters || {};
+                    const verified = verifyStreamToken(parameters.streamToken, {
+                        callSid: data.start.callSid,
+                        outboundContextId: parameters.outboundContextId
+                    });
+                    if (isStreamAuthEnabled() && !verified) {
+                        console.warn('Rejected media stream with a missing or invalid stream token');
+                        connection.close(1008, 'Invalid stream token');
+                        break;
+                    }
+
+                    streamSid = data.start.streamSid;
+                    emit('start', { streamSid, callSid: data.start.callSid, parameters });
+                    break;
+                }
+                case 'mark':
+                    emit('mark', data.mark.name);
+                    break;
+                case 'dtmf':
+                    emit('dtmf', data.dtmf.digit);
+                    break;
+                default:
+                    console.log('Received non-media event:', data.event);
+                    break;
+            }
+        } catch (error) {
+            console.error('Error parsing message:', error, 'Message:', message);
+        }
+    });
+
+    connection.on('close', () => emit('close'));
+
+    return {
+        kind: 'twilio',
+        on: (event, handler) => { handlers[event] = handler; },
+        sendAudio: (payload) => send({ event: 'media', media: { payload } }),
+        sendMark: (name) => send({ event: 'mark', mark: { name } }),
+        clearAudio: () => send({ event: 'clear' }),
+        close: (code, reason) => connection.close(code, reason)
+    };
+};
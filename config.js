@@ -0,0 +1,107 @@
+import dotenv from 'dotenv';
+
+// Load environment variables from .env file
+dotenv.config();
+
+// Retrieve API keys from environment variables
+export const { OPENAI_API_KEY, PERPLEXITY_API_KEY, BEST_BUY_API_KEY } = process.env;
+
+// Split a comma-separated environment variable into a list of trimmed names
+const parseList = (value) => (value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+
+// Tools to expose for this deployment. An empty ENABLED_TOOLS list means every registered tool.
+export const ENABLED_TOOLS = parseList(process.env.ENABLED_TOOLS);
+export const DISABLED_TOOLS = parseList(process.env.DISABLED_TOOLS);
+
+// Maximum time a tool handler may run before an error is returned to the model
+export const TOOL_TIMEOUT_MS = Number(process.env.TOOL_TIMEOUT_MS) || 10000;
+
+// Directory for locally stored call data (transcripts and related records)
+export const DATA_DIR = process.env.DATA_DIR || './data';
+
+// Upstream endpoints. Override these to point the server at local fakes (see simulator/).
+export const OPENAI_REALTIME_URL = process.env.OPENAI_REALTIME_URL || 'wss://api.openai.com/v1/realtime?model=gpt-4o-realtime-preview-2024-12-17';
+export const BEST_BUY_API_BASE_URL = process.env.BEST_BUY_API_BASE_URL || 'https://api.bestbuy.com/v1/products';
+export const BEST_BUY_STORES_API_BASE_URL = process.env.BEST_BUY_STORES_API_BASE_URL || 'https://api.bestbuy.com/v1/stores';
+export const BEST_BUY_OPEN_BOX_API_BASE_URL = process.env.BEST_BUY_OPEN_BOX_API_BASE_URL || 'https://api.bestbuy.com/beta/products/openBox';
+export const PERPLEXITY_API_URL = process.env.PERPLEXITY_API_URL || 'https://api.perplexity.ai/chat/completions';
+export const OPENAI_CHAT_COMPLETIONS_URL = process.env.OPENAI_CHAT_COMPLETIONS_URL || 'https://api.openai.com/v1/chat/completions';
+
+// Best Buy lookups are cached in-process and throttled to the API's per-second limit
+export const BEST_BUY_CACHE_TTL_MS = Number(process.env.BEST_BUY_CACHE_TTL_MS) || 5 * 60 * 1000;
+export const BEST_BUY_REQUESTS_PER_SECOND = Number(process.env.BEST_BUY_REQUESTS_PER_SECOND) || 5;
+
+// Twilio REST API credentials, used for call transfers and other in-call actions
+export const { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN } = process.env;
+export const TWILIO_API_BASE_URL = process.env.TWILIO_API_BASE_URL || 'https://api.twilio.com';
+
+// Where transferToHuman sends callers: a phone number (+15551234567) or a SIP URI (sip:agents@example.com)
+export const TRANSFER_TARGET = process.env.TRANSFER_TARGET;
+
+// Public https base URL of this server, for callbacks Twilio fetches (defaults to the Host of the current request)
+export const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL;
+
+// Caller ID for calls this server places (outbound calls and SMS)
+export const TWILIO_PHONE_NUMBER = process.env.TWILIO_PHONE_NUMBER;
+
+// Bearer token callers of POST /outbound-call must send; the endpoint is refused while it is unset
+export const OUTBOUND_API_TOKEN = process.env.OUTBOUND_API_TOKEN;
+
+// Bearer token for the admin APIs (call transcripts and recordings, caller profiles, policy reload); they are refused while it is unset
+export const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN;
+
+// Persona definitions (instructions, voice, greeting, tools), re-read whenever the file changes
+export const PERSONAS_FILE = process.env.PERSONAS_FILE || './personas.json';
+
+// Attach product images to the hang-up shortlist text, sending it as an MMS
+export const SHORTLIST_MMS = process.env.SHORTLIST_MMS === 'true';
+
+// OpenAI Realtime reconnection: attempts before giving up, and what to do with the caller then
+// ('transfer', 'voicemail' or 'hangup'; defaults to transfer when TRANSFER_TARGET is set)
+export const OPENAI_RECONNECT_ATTEMPTS = Number(process.env.OPENAI_RECONNECT_ATTEMPTS ?? 3);
+export const OPENAI_FALLBACK = process.env.OPENAI_FALLBACK;
+
+// Shared secret for the /monitor console (passed as ?token=); leave unset only on trusted networks
+export const MONITOR_TOKEN = process.env.MONITOR_TOKEN;
+
+// Shared secret for /browser-call (passed as ?token=); the page is not served while it is unset
+export const BROWSER_CALL_TOKEN = process.env.BROWSER_CALL_TOKEN;
+
+// Stereo WAV recording of each call (caller left, agent right), deleted after the retention period (0 keeps them)
+export const RECORD_CALLS = process.env.RECORD_CALLS === 'true';
+export const RECORDING_RETENTION_DAYS = Number(process.env.RECORDING_RETENTION_DAYS ?? 30);
+
+// Webhook and media-stream authentication. Twilio webhooks must carry a valid X-Twilio-Signature
+// (needs TWILIO_AUTH_TOKEN), and /media-stream only accepts streams with a token minted for that call.
+// Set TWILIO_WEBHOOK_AUTH=false for local testing only.
+export const TWILIO_WEBHOOK_AUTH = process.env.TWILIO_WEBHOOK_AUTH !== 'false';
+export const STREAM_TOKEN_SECRET = process.env.STREAM_TOKEN_SECRET;
+export const STREAM_TOKEN_TTL_MS = Number(process.env.STREAM_TOKEN_TTL_MS ?? 60 * 1000);
+
+// Inbound caller screening: allow/deny lists of phone numbers, and calls per number per hour (0 for no limit)
+export const ALLOWED_CALLERS = parseList(process.env.ALLOWED_CALLERS);
+export const BLOCKED_CALLERS = parseList(process.env.BLOCKED_CALLERS);
+export const CALLER_MAX_CALLS_PER_HOUR = Number(process.env.CALLER_MAX_CALLS_PER_HOUR ?? 10);
+
+// Stop words, synonyms, unit spellings and category size defaults used to normalize general-search terms
+export const SEARCH_TERMS_FILE = process.env.SEARCH_TERMS_FILE || './searchTerms.json';
+
+// Folder of store-policy documents (.md or .txt) indexed for the searchStorePolicies tool.
+// There is no default: until it is set, policy searches match nothing rather than quoting sample text.
+export const POLICY_DOCS_DIR = process.env.POLICY_DOCS_DIR;
+
+// A keypad (DTMF) entry is sent to the agent after '#' or this long without another key press
+export const DTMF_ENTRY_TIMEOUT_MS = Number(process.env.DTMF_ENTRY_TIMEOUT_MS) || 3000;
+
+// Post-call summaries: the model that classifies intent, outcome and sentiment (empty for rules only),
+// how long to wait for it before falling back to rules,
+// and the CRM webhook each summary is POSTed to, with retries before it goes to the dead-letter file
+export const CALL_SUMMARY_MODEL = process.env.CALL_SUMMARY_MODEL ?? 'gpt-4o-mini';
+export const CALL_SUMMARY_TIMEOUT_MS = Number(process.env.CALL_SUMMARY_TIMEOUT_MS) || 15000;
+export const CRM_WEBHOOK_URL = process.env.CRM_WEBHOOK_URL;
+export const CRM_WEBHOOK_SECRET = process.env.CRM_WEBHOOK_SECRET;
+export const CRM_WEBHOOK_MAX_ATTEMPTS = Number(process.env.CRM_WEBHOOK_MAX_ATTEMPTS) || 5;
+export const CRM_WEBHOOK_RETRY_DELAY_MS = Number(process.env.CRM_WEBHOOK_RETRY_DELAY_MS) || 2000;
@@ -0,0 +1,34 @@
+import { readFile } from 'node:fs/promises';
+import { BROWSER_CALL_TOKEN, PUBLIC_BASE_URL } from '../config.js';
+import { bridgeCall } from '../bridge/callSession.js';
+import { createBrowserTransport } from '../bridge/transports/browserTransport.js';
+import { isSameOrigin, safeEqual } from '../services/callSecurity.js';
+
+const BROWSER_CALL_PAGE = new URL('../public/browser-call.html', import.meta.url);
+
+const isAuthorized = (request) => typeof request.query.token === 'string' && safeEqual(request.query.token, BROWSER_CALL_TOKEN);
+
+// Talk to the agent from a browser, no phone needed: GET /browser-call serves the page, and the same URL
+// upgraded to a WebSocket carries the call (see bridge/transports/browserTransport.js). Every call opens an
+// OpenAI session, so the page is only served with BROWSER_CALL_TOKEN set.
+export default async function browserCallRoutes(fastify) {
+    if (!BROWSER_CALL_TOKEN) return;
+
+    fastify.route({
+        method: 'GET',
+        url: '/browser-call',
+        handler: async (request, reply) => {
+            if (!isAuthorized(request)) return reply.code(401).send({ error: 'Unauthorized' });
+            reply.type('text/html').send(await readFile(BROWSER_CALL_PAGE));
+        },
+        wsHandler: (socket, request) => {
+            if (!isAuthorized(request) || !isSameOrigin(request)) {
+                socket.close(1008, 'Unauthorized');
+                return;
+            }
+
+            console.log('Browser client connected');
+            bridgeCall(createBrowserTransport(socket), { baseUrl: PUBLIC_BASE_URL || `https://${request.headers.host}` });
+        }
+    });
+}
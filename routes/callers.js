@@ -0,0 +1,24 @@
+import { ADMIN_API_TOKEN } from '../config.js';
+import { getCallerProfile, deleteCallerProfile } from '../stores/callerProfileStore.js';
+import { requireBearerToken } from '../services/callSecurity.js';
+
+// View and delete returning-caller profiles (e.g. for privacy requests), with the admin token
+export default async function callerRoutes(fastify) {
+    fastify.addHook('preHandler', requireBearerToken(ADMIN_API_TOKEN, 'ADMIN_API_TOKEN'));
+
+    fastify.get('/callers/:phoneNumber', async (request, reply) => {
+        const profile = await getCallerProfile(request.params.phoneNumber);
+        if (!profile) {
+            return reply.code(404).send({ error: 'Caller not found' });
+        }
+        return profile;
+    });
+
+    fastify.delete('/callers/:phoneNumber', async (request, reply) => {
+        const deleted = await deleteCallerProfile(request.params.phoneNumber);
+        if (!deleted) {
+            return reply.code(404).send({ error: 'Caller not found' });
+        }
+        return reply.code(204).send();
+    });
+}
@@ -0,0 +1,32 @@
+import { listCalls, getCall } from '../stores/callStore.js';
+import { openRecording } from '../stores/recordingStore.js';
+import { ADMIN_API_TOKEN } from '../config.js';
+import { requireBearerToken } from '../services/callSecurity.js';
+
+// REST API for reviewing stored calls; every route needs the admin token
+export default async function callRoutes(fastify) {
+    fastify.addHook('preHandler', requireBearerToken(ADMIN_API_TOKEN, 'ADMIN_API_TOKEN'));
+
+    fastify.get('/calls', async () => ({ calls: await listCalls() }));
+
+    fastify.get('/calls/:streamSid/transcript', async (request, reply) => {
+        const call = await getCall(request.params.streamSid);
+        if (!call) {
+            return reply.code(404).send({ error: 'Call not found' });
+        }
+        return call;
+    });
+
+    // Stereo WAV of the call: caller on the left channel, agent on the right
+    fastify.get('/calls/:streamSid/recording', async (request, reply) => {
+        const recording = await openRecording(request.params.streamSid);
+        if (!recording) {
+            return reply.code(404).send({ error: 'Recording not found' });
+        }
+        return reply
+            .type('audio/wav')
+            .header('Content-Length', recording.size)
+            .header('Content-Disposition', `attachment; filename="${request.params.streamSid}.wav"`)
+            .send(recording.stream);
+    });
+}
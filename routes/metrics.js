@@ -0,0 +1,8 @@
+import { renderMetrics } from '../services/metrics.js';
+
+// Prometheus scrape endpoint
+export default async function metricsRoutes(fastify) {
+    fastify.get('/metrics', async (request, reply) => {
+        reply.type('text/plain; version=0.0.4; charset=utf-8').send(renderMetrics());
+    });
+}
@@ -0,0 +1,80 @@
+import { readFile } from 'node:fs/promises';
+import WebSocket from 'ws';
+import { MONITOR_TOKEN } from '../config.js';
+import { getSession, listSessions, subscribe, summarizeSession } from '../bridge/callRegistry.js';
+import { isSameOrigin, safeEqual } from '../services/callSecurity.js';
+
+const MONITOR_PAGE = new URL('../public/monitor.html', import.meta.url);
+
+const isAuthorized = (request) => typeof request.query.token === 'string' && safeEqual(request.query.token, MONITOR_TOKEN);
+
+// Supervisor console: GET /monitor serves the page, and the same URL upgraded to a WebSocket
+// streams active calls and accepts { type: 'watch' | 'end_call' | 'inject', streamSid, text } commands
+// The console shows caller numbers and can end calls, so it is only served with MONITOR_TOKEN set
+export default async function monitorRoutes(fastify) {
+    if (!MONITOR_TOKEN) {
+        console.warn('MONITOR_TOKEN is not set, so the /monitor console is disabled');
+        return;
+    }
+
+    fastify.route({
+        method: 'GET',
+        url: '/monitor',
+        handler: async (request, reply) => {
+            if (!isAuthorized(request)) return reply.code(401).send({ error: 'Unauthorized' });
+            reply.type('text/html').send(await readFile(MONITOR_PAGE));
+        },
+        wsHandler: (socket, request) => {
+            if (!isAuthorized(request) || !isSameOrigin(request)) {
+                socket.close(1008, 'Unauthorized');
+                return;
+            }
+
+            const send = (event) => {
+                if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(event));
+            };
+
+            send({ type: 'calls', calls: listSessions().map(summarizeSession) });
+            const unsubscribe = subscribe(send);
+
+            socket.on('message', (message) => {
+                let command;
+                try {
+                    command = JSON.parse(message);
+                } catch (error) {
+                    send({ type: 'error', message: 'Commands must be JSON' });
+                    return;
+                }
+
+                const session = getSession(command.streamSid);
+                if (!session) {
+                    send({ type: 'error', message: `No active call with streamSid ${command.streamSid}` });
+                    return;
+                }
+
+                switch (command.type) {
+                    case 'watch':
+                        send({ type: 'history', streamSid: command.streamSid, transcript: session.call.transcript });
+                        break;
+                    case 'end_call':
+                        console.log(`Supervisor ended call ${command.streamSid}`);
+                        session.endCall();
+                        break;
+                    case 'inject':
+                        if (typeof command.text !== 'string' || !command.text.trim()) {
+                            send({ type: 'error', message: 'inject needs a non-empty text' });
+                            break;
+                        }
+                        console.log(`Supervisor instruction for ${command.streamSid}: ${command.text}`);
+                        session.injectInstruction(command.text.trim());
+                        break;
+                    default:
+                        send({ type: 'error', message: `Unknown command: ${command.type}` });
+                        break;
+                }
+            });
+
+            socket.on('close', unsubscribe);
+        }
+    });
+}
@@ -0,0 +1,43 @@
+import { OUTBOUND_API_TOKEN, PUBLIC_BASE_URL } from '../config.js';
+import { isOutboundConfigured, placeOutboundCall } from '../services/outbound.js';
+import { resolvePersonaId } from '../services/personas.js';
+import { requireBearerToken } from '../services/callSecurity.js';
+
+const E164_PATTERN = /^\+[1-9]\d{6,14}$/;
+
+// The context goes into the agent's instructions, so keep it to a short note
+const MAX_CONTEXT_CHARS = 1000;
+
+// API for placing calls, e.g. price-drop alerts and pickup reminders
+export default async function outboundRoutes(fastify) {
+    fastify.post('/outbound-call', { preHandler: requireBearerToken(OUTBOUND_API_TOKEN, 'OUTBOUND_API_TOKEN') }, async (request, reply) => {
+        const { to, context, persona } = request.body || {};
+
+        if (!E164_PATTERN.test(to || '')) {
+            return reply.code(400).send({ error: '"to" must be a phone number in E.164 format, e.g. +15551234567' });
+        }
+        if (!context || (typeof context !== 'string' && typeof context !== 'object')) {
+            return reply.code(400).send({ error: '"context" must be a string or an object describing why Cypher is calling' });
+        }
+        if ((typeof context === 'string' ? context : JSON.stringify(context)).length > MAX_CONTEXT_CHARS) {
+            return reply.code(400).send({ error: `"context" must be at most ${MAX_CONTEXT_CHARS} characters` });
+        }
+        if (!isOutboundConfigured()) {
+            return reply.code(503).send({ error: 'Outbound calling is not configured' });
+        }
+
+        const host = PUBLIC_BASE_URL ? new URL(PUBLIC_BASE_URL).host : request.headers.host;
+        try {
+            const call = await placeOutboundCall({
+                to,
+                context,
+                personaId: resolvePersonaId({ requested: persona }),
+                streamUrl: `wss://${host}/media-stream`
+            });
+            return reply.code(201).send(call);
+        } catch (error) {
+            console.error('Error placing outbound call:', error);
+            return reply.code(502).send({ error: 'Failed to place the call' });
+        }
+    });
+}
@@ -0,0 +1,15 @@
+import { reloadStorePolicies } from '../services/storePolicies.js';
+import { ADMIN_API_TOKEN } from '../config.js';
+import { requireBearerToken } from '../services/callSecurity.js';
+
+// Re-index the store-policy documents after editing them, without restarting the server (admin token required)
+export default async function policyRoutes(fastify) {
+    fastify.post('/policies/reload', { preHandler: requireBearerToken(ADMIN_API_TOKEN, 'ADMIN_API_TOKEN') }, async (request, reply) => {
+        try {
+            return await reloadStorePolicies();
+        } catch (error) {
+            console.error('Error reloading store policies, keeping the previous index:', error);
+            return reply.code(500).send({ error: `Failed to reload store policies: ${error.message}` });
+        }
+    });
+}
@@ -0,0 +1,8 @@
+import { getBestBuyCacheStats } from '../services/bestBuy.js';
+
+// Operational counters for the shared upstream caches
+export default async function statsRoutes(fastify) {
+    fastify.get('/stats', async () => ({
+        bestBuyCache: getBestBuyCacheStats()
+    }));
+}
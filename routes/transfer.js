@@ -0,0 +1,17 @@
+import { getCall } from '../stores/callStore.js';
+import { buildWhisper } from '../services/transfer.js';
+import { escapeXml } from '../services/twilio.js';
+import { verifyTwilioWebhook } from '../services/callSecurity.js';
+
+// Whisper played to the human agent before a transferred caller is connected
+export default async function transferRoutes(fastify) {
+    fastify.all('/transfer-whisper/:streamSid', { preHandler: verifyTwilioWebhook }, async (request, reply) => {
+        const call = await getCall(request.params.streamSid);
+        const whisper = call ? buildWhisper(call) : 'Incoming transfer from Cypher.';
+
+        reply.type('text/xml').send(`<?xml version="1.0" encoding="UTF-8"?>
+                          <Response>
+                              <Say>${escapeXml(whisper)}</Say>
+                          </Response>`);
+    });
+}
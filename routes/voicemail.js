@@ -0,0 +1,19 @@
+import { getCall, saveCall } from '../stores/callStore.js';
+import { verifyTwilioWebhook } from '../services/callSecurity.js';
+
+// Twilio posts here when a fallback voicemail recording finishes
+export default async function voicemailRoutes(fastify) {
+    fastify.post('/voicemail-complete/:streamSid', { preHandler: verifyTwilioWebhook }, async (request, reply) => {
+        const { RecordingUrl, RecordingDuration } = request.body || {};
+        const call = await getCall(request.params.streamSid);
+        if (call && RecordingUrl) {
+            call.voicemail = { recordingUrl: RecordingUrl, durationSeconds: Number(RecordingDuration), at: new Date().toISOString() };
+            await saveCall(call);
+        }
+
+        reply.type('text/xml').send(`<?xml version="1.0" encoding="UTF-8"?>
+                          <Response>
+                              <Hangup/>
+                          </Response>`);
+    });
+}
@@ -0,0 +1,109 @@
+import Fastify from 'fastify';
+import fastifyFormBody from '@fastify/formbody';
+import fastifyWs from '@fastify/websocket';
+import { PUBLIC_BASE_URL } from './config.js';
+import { getLanguageOptions, getPersona, resolvePersonaId } from './services/personas.js';
+import { escapeXml } from './services/twilio.js';
+import { createStreamToken, screenCaller, verifyTwilioWebhook } from './services/callSecurity.js';
+import { bridgeCall } from './bridge/callSession.js';
+import { createTwilioTransport } from './bridge/transports/twilioTransport.js';
+import callRoutes from './routes/calls.js';
+import transferRoutes from './routes/transfer.js';
+import outboundRoutes from './routes/outbound.js';
+import statsRoutes from './routes/stats.js';
+import callerRoutes from './routes/callers.js';
+import voicemailRoutes from './routes/voicemail.js';
+import metricsRoutes from './routes/metrics.js';
+import monitorRoutes from './routes/monitor.js';
+import browserCallRoutes from './routes/browserCall.js';
+import policyRoutes from './routes/policies.js';
+
+// Instructions, voice and greeting come from the persona file (see personas.json); the call itself is
+// bridged in bridge/callSession.js.
+
+// Build the Fastify app with every route registered, without starting to listen
+export const buildServer = () => {
+    const fastify = Fastify();
+    fastify.register(fastifyFormBody);
+    fastify.register(fastifyWs);
+    fastify.register(callRoutes);
+    fastify.register(statsRoutes);
+    fastify.register(transferRoutes);
+    fastify.register(outboundRoutes);
+    fastify.register(callerRoutes);
+    fastify.register(voicemailRoutes);
+    fastify.register(metricsRoutes);
+    fastify.register(monitorRoutes);
+    fastify.register(browserCallRoutes);
+    fastify.register(policyRoutes);
+
+    // Root Route
+    fastify.get('/', async (request, reply) => {
+        reply.send({ message: 'Twilio Media Stream Server is running!' });
+    });
+
+    // Route for Twilio to handle incoming calls
+    // <Say> punctuation to improve text-to-speech translation
+    // The persona is chosen by ?persona= or the dialed (To) number and handed to the stream as a <Parameter>,
+    // along with a short-lived token that /media-stream checks before connecting to OpenAI.
+    // Personas with languageMenu first offer a keypad choice between their language variants; Twilio
+    // posts the answer back here with ?languageMenu=done, and the caller was already screened.
+    fastify.all('/incoming-call', { preHandler: verifyTwilioWebhook }, async (request, reply) => {
+        const params = { ...request.query, ...request.body };
+        const menuAnswered = params.languageMenu === 'done';
+
+        const screening = menuAnswered ? { allowed: true } : screenCaller(params.From);
+        if (!screening.allowed) {
+            console.warn(`Rejected call from ${params.From || 'unknown number'}: ${screening.reason}`);
+            return reply.type('text/xml').send(`<?xml version="1.0" encoding="UTF-8"?>
+                              <Response>
+                                  <Reject reason="busy" />
+                              </Response>`);
+        }
+
+        let persona = getPersona(resolvePersonaId({ requested: params.persona, to: params.To }));
+        const languageOptions = getLanguageOptions(persona);
+
+        if (persona.languageMenu && languageOptions.length > 1 && !menuAnswered) {
+            const menuUrl = escapeXml(`/incoming-call?persona=${encodeURIComponent(persona.id)}&languageMenu=done`);
+            const prompts = languageOptions.map(option =>
+                `<Say language="${escapeXml(option.persona.language)}">${escapeXml(option.persona.languageMenuPrompt.replace('{digit}', option.digit))}</Say>`);
+            return reply.type('text/xml').send(`<?xml version="1.0" encoding="UTF-8"?>
+                              <Response>
+                                  <Gather numDigits="1" timeout="5" action="${menuUrl}">
+                                      ${prompts.join('\n                                      ')}
+                                  </Gather>
+                                  <Redirect>${menuUrl}</Redirect>
+                              </Response>`);
+        }
+
+        // A menu choice picks that language's persona; no choice keeps the one for this number
+        const chosen = menuAnswered && languageOptions.find(option => option.digit === params.Digits);
+        if (chosen) persona = chosen.persona;
+
+        const twimlResponse = `<?xml version="1.0" encoding="UTF-8"?>
+                              <Response>
+                                  <Say language="${escapeXml(persona.language)}">${escapeXml(persona.connectingMessage)}</Say>
+                                  <Connect>
+                                      <Stream url="wss://${request.headers.host}/media-stream">
+                                          <Parameter name="persona" value="${escapeXml(persona.id)}" />
+                                          <Parameter name="callerNumber" value="${escapeXml(params.From || '')}" />
+                                          <Parameter name="languageChosen" value="${chosen ? 'true' : 'false'}" />
+                                          <Parameter name="streamToken" value="${createStreamToken({ callSid: params.CallSid })}" />
+                                      </Stream>
+                                  </Connect>
+                              </Response>`;
+
+        reply.type('text/xml').send(twimlResponse);
+    });
+
+    // WebSocket route for media-stream
+    fastify.register(async (fastify) => {
+        fastify.get('/media-stream', { websocket: true }, (connection, req) => {
+            console.log('Client connected');
+            bridgeCall(createTwilioTransport(connection), { baseUrl: PUBLIC_BASE_URL || `https://${req.headers.host}` });
+        });
+    });
+
+    return fastify;
+};
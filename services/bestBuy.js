@@ -0,0 +1,494 @@
+import fetch from 'node-fetch';
+import {
+    BEST_BUY_API_KEY,
+    BEST_BUY_API_BASE_URL,
+    BEST_BUY_STORES_API_BASE_URL,
+    BEST_BUY_OPEN_BOX_API_BASE_URL,
+    BEST_BUY_CACHE_TTL_MS,
+    BEST_BUY_REQUESTS_PER_SECOND
+} from '../config.js';
+import { createCache } from './cache.js';
+import { createRateLimiter } from './rateLimiter.js';
+import { isProductType, normalizeSearchTerms } from './searchTerms.js';
+
+// Best Buy API URL components
+export const BEST_BUY_API = {
+    BASE_URL: BEST_BUY_API_BASE_URL,
+    STORES_BASE_URL: BEST_BUY_STORES_API_BASE_URL,
+    OPEN_BOX_BASE_URL: BEST_BUY_OPEN_BOX_API_BASE_URL,
+    SHOW_FIELDS: [
+        'name',
+        'manufacturer',
+        'color',
+        'shortDescription',
+        'regularPrice',
+        'salePrice',
+        'customerReviewAverage',
+        'sku',
+        'url',
+        'image'
+    ],
+    SHOW_FIELDS_DETAILED: [
+        'name',
+        'color',
+        'details.name',
+        'details.value',
+        'inStoreAvailability',
+        'onlineAvailability',
+        'regularPrice',
+        'salePrice',
+        'sku',
+        'url',
+        'image'
+    ],
+    SHOW_FIELDS_SHIPPING: [
+        'name',
+        'onlineAvailability',
+        'freeShipping',
+        'shippingLevelsOfService',
+        'sku'
+    ],
+    SHOW_FIELDS_COMPARE: [
+        'name',
+        'manufacturer',
+        'regularPrice',
+        'salePrice',
+        'customerReviewAverage',
+        'customerReviewCount',
+        'inStoreAvailability',
+        'onlineAvailability',
+        'details.name',
+        'details.value',
+        'sku'
+    ],
+    SHOW_FIELDS_STORE: [
+        'storeId',
+        'name',
+        'address',
+        'city',
+        'region',
+        'postalCode',
+        'phone',
+        'hoursAmPm'
+    ],
+    DEFAULT_FILTERS: {
+        minReviewScore: 3,
+        inStoreAvailability: true,
+        pageSize: 10,
+        sortPreference: 'customerReviewAverage.dsc' // Default to sorting by reviews
+    }
+};
+
+// Shared across calls: identical lookups are served from cache or merged while in flight,
+// and everything that does reach the API is queued to stay under the per-second limit
+const bestBuyCache = createCache({ ttlMs: BEST_BUY_CACHE_TTL_MS });
+const bestBuyLimiter = createRateLimiter({ requestsPerSecond: BEST_BUY_REQUESTS_PER_SECOND });
+const MAX_RATE_LIMIT_RETRIES = 3;
+
+// Fetch JSON from the Best Buy API through the shared cache and rate limiter
+const fetchBestBuy = (cacheKey, url) => bestBuyCache.wrap(cacheKey, async () => {
+    for (let attempt = 0; ; attempt++) {
+        const response = await bestBuyLimiter.schedule(() => fetch(url));
+
+        // Over the quota anyway (e.g. other processes share the key): wait a second and queue again
+        if (response.status === 429 && attempt < MAX_RATE_LIMIT_RETRIES) {
+            bestBuyLimiter.backOff(1000);
+            continue;
+        }
+
+        if (!response.ok) {
+            throw new Error(`Best Buy API request failed with status: ${response.status}`);
+        }
+        return response.json();
+    }
+});
+
+// Cache hit/miss counters for the Best Buy lookups
+export const getBestBuyCacheStats = () => ({
+    ...bestBuyCache.stats(),
+    queued: bestBuyLimiter.queued
+});
+
+// Zero-result retries drop at most this many search terms
+const MAX_DROPPED_TERMS = 2;
+
+// An open-box search reads at most this many pages of products to find one with an offer
+const MAX_OPEN_BOX_PAGES = 3;
+
+// Best Buy specific product search function
+export const bestBuySpecificSearch = async (sku) => {
+    // Construct URL for specific product search
+    const url = `${BEST_BUY_API.BASE_URL}(sku=${sku})?` +
+                `apiKey=${BEST_BUY_API_KEY}&` +
+                `sort=sku.dsc&` +
+                `show=${BEST_BUY_API.SHOW_FIELDS_DETAILED.join(',')}&` +
+                `pageSize=10&format=json`;
+
+    try {
+        const data = await fetchBestBuy(`sku:${sku}`, url);
+        if (!data.products || data.products.length === 0) {
+            return { error: `No product found for SKU: ${sku}` };
+        }
+
+        // Return simplified product object with essential details
+        const product = data.products[0];
+        return {
+            product: {
+                name: product.name,
+                color: product.color,
+                details: product.details || [],
+                inStoreAvailability: product.inStoreAvailability,
+                onlineAvailability: product.onlineAvailability,
+                regularPrice: product.regularPrice,
+                salePrice: product.salePrice,
+                sku: product.sku,
+                url: product.url,
+                image: product.image
+            }
+        };
+    } catch (error) {
+        console.error('Error fetching Best Buy product details:', error);
+        return { error: "I apologize, but I encountered an error while fetching the product details. Please try again." };
+    }
+};
+
+const SORT_ORDERS = {
+    price_asc: 'salePrice.asc',
+    price_desc: 'salePrice.dsc',
+    best_selling: 'bestSellingRank.asc',
+    newest: 'releaseDate.dsc'
+};
+const DEFAULT_SORT_ORDER = 'customerReviewAverage.dsc';
+
+// Filter clauses for a keyword search, e.g. (search=tv&search=outdoor)&salePrice<=800&manufacturer in(samsung,lg)
+const buildSearchQuery = (search) => {
+    const clauses = [
+        `(${search.terms.map(term => `search=${encodeURIComponent(term)}`).join('&')})`,
+        `customerReviewAverage>=${search.minReviewScore}`
+    ];
+    if (search.inStoreAvailability) clauses.push('inStoreAvailability=true');
+    if (search.minPrice != null) clauses.push(`salePrice>=${search.minPrice}`);
+    if (search.maxPrice != null) clauses.push(`salePrice<=${search.maxPrice}`);
+    if (search.manufacturers?.length) {
+        clauses.push(`manufacturer in(${search.manufacturers.map(encodeURIComponent).join(',')})`);
+    }
+    if (search.category) clauses.push(`categoryPath.name=*${encodeURIComponent(search.category)}*`);
+    if (search.onSale) clauses.push('onSale=true');
+    if (search.freeShipping) clauses.push('freeShipping=true');
+
+    return `(${clauses.join('&')})` + (search.storeId ? `+stores(storeId=${search.storeId})` : '');
+};
+
+// One page of a Best Buy keyword search with fully resolved options
+const searchProducts = (search, page = 1) => {
+    // Construct complete URL with all parameters
+    const url = `${BEST_BUY_API.BASE_URL}${buildSearchQuery(search)}?` +
+                `apiKey=${BEST_BUY_API_KEY}&` +
+                `sort=${search.sortOrder}&` +
+                `show=${BEST_BUY_API.SHOW_FIELDS.join(',')}&` +
+                `pageSize=${search.pageSize}&` +
+                `page=${page}&` +
+                `format=json`;
+
+    // Term and manufacturer order do not change Best Buy's results, so sort them for the cache key
+    const cacheKey = JSON.stringify({
+        ...search,
+        terms: [...search.terms].sort(),
+        manufacturers: search.manufacturers && [...search.manufacturers].sort(),
+        page
+    });
+
+    return fetchBestBuy(cacheKey, url);
+};
+
+// Open-box offers for the given SKUs from the Buying Options API, keyed by SKU
+const fetchOpenBoxOffers = async (skus) => {
+    if (skus.length === 0) return new Map();
+    const url = `${BEST_BUY_API.OPEN_BOX_BASE_URL}(sku in(${skus.join(',')}))?apiKey=${BEST_BUY_API_KEY}`;
+    const data = await fetchBestBuy(`openBox:${[...skus].sort().join(',')}`, url);
+    return new Map((data.results || []).map(result => [Number(result.sku), result.offers || []]));
+};
+
+// Ways to widen a search that found nothing, mildest first: our default filters, then the least
+// important terms (measurements and features go before the product type)
+const relaxations = (search) => {
+    const steps = [];
+    if (search.minReviewScore > 0) {
+        steps.push({ relaxation: { type: 'minReviewScore', from: search.minReviewScore, to: 0 }, apply: current => ({ ...current, minReviewScore: 0 }) });
+    }
+    if (search.inStoreAvailability) {
+        steps.push({ relaxation: { type: 'inStoreAvailability', from: true, to: false }, apply: current => ({ ...current, inStoreAvailability: false }) });
+    }
+
+    const droppable = [...search.terms].reverse().filter(term => !isProductType(term));
+    droppable
+        .slice(0, Math.min(MAX_DROPPED_TERMS, search.terms.length - 1))
+        .forEach(term => steps.push({
+            relaxation: { type: 'droppedTerm', term },
+            apply: current => ({ ...current, terms: current.terms.filter(existing => existing !== term) })
+        }));
+    return steps;
+};
+
+// One page of results. With openBox, only products that have an open-box offer are kept (with their offers),
+// and when a page keeps none the following pages are read, so `currentPage` is the last page read.
+const fetchResultsPage = async (search, page = 1) => {
+    let data = await searchProducts(search, page);
+    if (!search.openBox) return data;
+
+    const products = [];
+    for (let pagesRead = 1; ; pagesRead++) {
+        const offers = await fetchOpenBoxOffers(data.products.map(product => product.sku));
+        products.push(...data.products
+            .filter(product => offers.get(product.sku)?.length > 0)
+            .map(product => ({ ...product, openBoxOffers: offers.get(product.sku) })));
+        if (products.length > 0 || pagesRead >= MAX_OPEN_BOX_PAGES || data.currentPage >= data.totalPages) break;
+        data = await searchProducts(search, data.currentPage + 1);
+    }
+    return { ...data, products };
+};
+
+// Shape one page of results for the model. Best Buy's match and page counts include products without
+// an open-box offer, so open-box searches leave them out.
+const formatSearchPage = (search, data) => {
+    const products = data.products.map(product => ({
+        name: product.name,
+        manufacturer: product.manufacturer,
+        color: product.color,
+        description: product.shortDescription,
+        regularPrice: product.regularPrice,
+        salePrice: product.salePrice,
+        reviewScore: product.customerReviewAverage,
+        sku: product.sku,
+        url: product.url,
+        image: product.image,
+        ...(product.openBoxOffers && {
+            openBoxOffers: product.openBoxOffers.map(offer => ({ condition: offer.condition, price: offer.prices?.current }))
+        })
+    }));
+
+    return {
+        searchTerms: search.terms,
+        ...(search.storeId && { filteredToStoreId: search.storeId }),
+        ...(!search.openBox && { totalMatches: data.total }),
+        page: data.currentPage,
+        ...(!search.openBox && { totalPages: data.totalPages }),
+        morePages: data.currentPage < data.totalPages,
+        products
+    };
+};
+
+// Best Buy general search function. When a storeId is given, results are limited to products stocked at that store.
+// Terms are normalized first; if nothing matches, the search is retried with looser filters and fewer terms,
+// and the result lists every relaxation that was applied. Also returns the resolved `search`, which
+// bestBuySearchPage takes to fetch further pages.
+export const bestBuyGeneralSearch = async (searchTerms, filters = {}, { storeId } = {}) => {
+    // Merge default filters with provided filters
+    const { sortPreference, ...searchFilters } = {
+        ...BEST_BUY_API.DEFAULT_FILTERS,
+        ...filters
+    };
+
+    const requestedTerms = searchTerms.map(term => term.trim().toLowerCase()).filter(Boolean);
+    const normalizedTerms = normalizeSearchTerms(searchTerms);
+    const terms = normalizedTerms.length > 0 ? normalizedTerms : [...new Set(requestedTerms)];
+
+    try {
+        let search = {
+            ...searchFilters,
+            terms,
+            sortOrder: SORT_ORDERS[sortPreference] || DEFAULT_SORT_ORDER,
+            storeId
+        };
+        let data = await fetchResultsPage(search);
+        const applied = [];
+        for (const step of relaxations(search)) {
+            if (data.products.length > 0) break;
+            search = step.apply(search);
+            applied.push(step.relaxation);
+            data = await fetchResultsPage(search);
+        }
+
+        return {
+            search,
+            ...(terms.join(' ') !== requestedTerms.join(' ') && { requestedTerms }),
+            ...(applied.length > 0 && { relaxations: applied }),
+            ...formatSearchPage(search, data)
+        };
+    } catch (error) {
+        console.error('Error fetching Best Buy products:', error);
+        return { error: "I apologize, but I encountered an error while searching for products. Please try your search again." };
+    }
+};
+
+// A later page of a search returned by bestBuyGeneralSearch
+export const bestBuySearchPage = async (search, page) => {
+    try {
+        return formatSearchPage(search, await fetchResultsPage(search, page));
+    } catch (error) {
+        console.error('Error fetching Best Buy products:', error);
+        return { error: "I apologize, but I encountered an error while fetching more results. Please try again." };
+    }
+};
+
+// Store-level availability for a SKU near a ZIP code, or at one specific store.
+// Combines the Store Availability API (stock and pickup), the Stores API (hours)
+// and the product's ship-to-home options.
+export const bestBuyStoreAvailability = async ({ sku, postalCode, storeId }) => {
+    const availabilityUrl = `${BEST_BUY_API.BASE_URL}/${sku}/stores.json?` +
+                            `apiKey=${BEST_BUY_API_KEY}&` +
+                            (storeId ? `storeId=${storeId}` : `postalCode=${encodeURIComponent(postalCode)}`);
+
+    const productUrl = `${BEST_BUY_API.BASE_URL}(sku=${sku})?` +
+                       `apiKey=${BEST_BUY_API_KEY}&` +
+                       `show=${BEST_BUY_API.SHOW_FIELDS_SHIPPING.join(',')}&` +
+                       `format=json`;
+
+    try {
+        const [availability, productData] = await Promise.all([
+            fetchBestBuy(`availability:${sku}:${storeId || postalCode}`, availabilityUrl),
+            fetchBestBuy(`shipping:${sku}`, productUrl)
+        ]);
+
+        const product = productData.products && productData.products[0];
+        if (!product) {
+            return { error: `No product found for SKU: ${sku}` };
+        }
+
+        // Stock is only listed for stores that have the product, so look up hours for those stores
+        const stockedStores = (availability.stores || []).slice(0, 5);
+        let storeDetails = [];
+        if (stockedStores.length > 0) {
+            const storeIds = stockedStores.map(store => store.storeID).join(',');
+            const storesUrl = `${BEST_BUY_API.STORES_BASE_URL}(storeId in(${storeIds}))?` +
+                              `apiKey=${BEST_BUY_API_KEY}&` +
+                              `show=${BEST_BUY_API.SHOW_FIELDS_STORE.join(',')}&` +
+                              `format=json`;
+            const storesData = await fetchBestBuy(`stores:${storeIds}`, storesUrl);
+            storeDetails = storesData.stores || [];
+        }
+
+        return {
+            sku: product.sku,
+            name: product.name,
+            pickupEligible: Boolean(availability.ispuEligible),
+            shipToHome: {
+                available: Boolean(product.onlineAvailability),
+                freeShipping: Boolean(product.freeShipping),
+                options: (product.shippingLevelsOfService || []).map(level => ({
+                    level: level.serviceLevelName,
+                    price: level.unitShippingPrice
+                })),
+                // The Products API has no delivery estimate, and the agent must not invent one
+                deliveryDate: null,
+                note: 'Delivery dates are not available here. Do not estimate one; the caller sees the delivery date at checkout on bestbuy.com.'
+            },
+            stores: stockedStores.map(store => {
+                const details = storeDetails.find(detail => String(detail.storeId) === String(store.storeID)) || {};
+                return {
+                    storeId: Number(store.storeID),
+                    name: store.name,
+                    address: `${store.address}, ${store.city}, ${store.state} ${store.postalCode}`,
+                    distanceMiles: store.distance,
+                    phone: details.phone,
+                    hours: details.hoursAmPm,
+                    inStock: true,
+                    lowStock: Boolean(store.lowStock),
+                    pickupToday: Boolean(availability.ispuEligible) && store.minPickupHours != null && store.minPickupHours < 24
+                };
+            })
+        };
+    } catch (error) {
+        console.error('Error fetching Best Buy store availability:', error);
+        return { error: "I apologize, but I encountered an error while checking store availability. Please try again." };
+    }
+};
+
+// Differing specs beyond this many are only counted, to keep the comparison short enough to speak
+const MAX_COMPARED_SPECS = 12;
+const MAX_SHARED_SPECS = 8;
+
+const specKey = (text) => String(text).trim().toLowerCase();
+
+// Line up the products' details by spec name. Specs with the same value everywhere are collapsed into
+// one entry; the rest list each product's value (null where a product does not list the spec).
+const compareSpecs = (products) => {
+    const specs = new Map();
+    products.forEach(product => (product.details || []).forEach(({ name, value }) => {
+        if (!name) return;
+        const key = specKey(name);
+        if (!specs.has(key)) specs.set(key, { name, values: new Map() });
+        specs.get(key).values.set(product.sku, value);
+    }));
+
+    const shared = [];
+    const differing = [];
+    specs.forEach(({ name, values }) => {
+        const distinct = new Set([...values.values()].map(specKey));
+        if (values.size === products.length && distinct.size === 1) {
+            shared.push({ name, value: values.values().next().value });
+        } else {
+            differing.push({
+                name,
+                values: Object.fromEntries(products.map(product => [product.sku, values.get(product.sku) ?? null]))
+            });
+        }
+    });
+
+    return {
+        differingSpecs: differing.slice(0, MAX_COMPARED_SPECS),
+        moreDifferingSpecs: Math.max(0, differing.length - MAX_COMPARED_SPECS),
+        sharedSpecs: Object.fromEntries(shared.slice(0, MAX_SHARED_SPECS).map(({ name, value }) => [name, value])),
+        moreSharedSpecs: Math.max(0, shared.length - MAX_SHARED_SPECS)
+    };
+};
+
+// SKU of the product with the highest value for `pick`, or null if none have one
+const bestBy = (products, pick) => products
+    .filter(product => typeof pick(product) === 'number')
+    .reduce((best, product) => (!best || pick(product) > pick(best) ? product : best), null)?.sku ?? null;
+
+// Side-by-side comparison of two to four products, fetched in one request
+export const bestBuyCompareProducts = async (skus) => {
+    const uniqueSkus = [...new Set(skus)];
+    const url = `${BEST_BUY_API.BASE_URL}(sku in(${uniqueSkus.join(',')}))?` +
+                `apiKey=${BEST_BUY_API_KEY}&` +
+                `show=${BEST_BUY_API.SHOW_FIELDS_COMPARE.join(',')}&` +
+                `pageSize=${uniqueSkus.length}&format=json`;
+
+    try {
+        const data = await fetchBestBuy(`compare:${[...uniqueSkus].sort().join(',')}`, url);
+        // Keep the order the caller asked in
+        const products = uniqueSkus
+            .map(sku => (data.products || []).find(product => product.sku === sku))
+            .filter(Boolean);
+
+        if (products.length < 2) {
+            return { error: `Need at least two products to compare, but only found ${products.length} of SKUs ${uniqueSkus.join(', ')}` };
+        }
+
+        return {
+            products: products.map(product => ({
+                sku: product.sku,
+                name: product.name,
+                manufacturer: product.manufacturer,
+                regularPrice: product.regularPrice,
+                salePrice: product.salePrice,
+                onSale: product.salePrice < product.regularPrice,
+                savings: product.salePrice < product.regularPrice ? Number((product.regularPrice - product.salePrice).toFixed(2)) : 0,
+                reviewScore: product.customerReviewAverage ?? null,
+                reviewCount: product.customerReviewCount ?? null,
+                inStoreAvailability: product.inStoreAvailability,
+                onlineAvailability: product.onlineAvailability
+            })),
+            notFound: uniqueSkus.filter(sku => !products.some(product => product.sku === sku)),
+            // Lowest sale price is the highest negated one
+            lowestPrice: bestBy(products, product => -product.salePrice),
+            highestRated: bestBy(products, product => product.customerReviewAverage),
+            ...compareSpecs(products)
+        };
+    } catch (error) {
+        console.error('Error comparing Best Buy products:', error);
+        return { error: "I apologize, but I encountered an error while comparing those products. Please try again." };
+    }
+};
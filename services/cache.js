@@ -0,0 +1,70 @@
+// In-process TTL cache that also coalesces identical in-flight loads
+export const createCache = ({ ttlMs, maxEntries = 500 }) => {
+    const entries = new Map();
+    const inFlight = new Map();
+    const counters = { hits: 0, misses: 0, coalesced: 0, errors: 0 };
+
+    const getFresh = (key) => {
+        const entry = entries.get(key);
+        if (!entry) return undefined;
+        if (entry.expiresAt <= Date.now()) {
+            entries.delete(key);
+            return undefined;
+        }
+        return entry;
+    };
+
+    const set = (key, value) => {
+        entries.delete(key);
+        entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+        // Maps keep insertion order, so the first key is the oldest entry
+        if (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+        }
+    };
+
+    // Return the cached value for `key`, or run `load` once and share its result with concurrent callers.
+    // Failed loads are not cached.
+    const wrap = (key, load) => {
+        const entry = getFresh(key);
+        if (entry) {
+            counters.hits++;
+            return Promise.resolve(entry.value);
+        }
+
+        if (inFlight.has(key)) {
+            counters.coalesced++;
+            return inFlight.get(key);
+        }
+
+        counters.misses++;
+        const pending = Promise.resolve()
+            .then(load)
+            .then(value => {
+                set(key, value);
+                return value;
+            })
+            .catch(error => {
+                counters.errors++;
+                throw error;
+            })
+            .finally(() => inFlight.delete(key));
+
+        inFlight.set(key, pending);
+        return pending;
+    };
+
+    const stats = () => {
+        const lookups = counters.hits + counters.misses + counters.coalesced;
+        return {
+            ...counters,
+            size: entries.size,
+            inFlight: inFlight.size,
+            hitRate: lookups > 0 ? (counters.hits + counters.coalesced) / lookups : 0
+        };
+    };
+
+    const clear = () => entries.clear();
+
+    return { wrap, stats, clear };
+};
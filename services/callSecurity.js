@@ -0,0 +1,144 @@
+import crypto from 'node:crypto';
+import {
+    TWILIO_AUTH_TOKEN,
+    TWILIO_WEBHOOK_AUTH,
+    PUBLIC_BASE_URL,
+    STREAM_TOKEN_SECRET,
+    STREAM_TOKEN_TTL_MS,
+    ALLOWED_CALLERS,
+    BLOCKED_CALLERS,
+    CALLER_MAX_CALLS_PER_HOUR
+} from '../config.js';
+import { normalizePhoneNumber } from '../stores/callerProfileStore.js';
+import { isValidTwilioSignature } from './twilio.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Without a configured secret, tokens are only valid for this process
+const tokenSecret = STREAM_TOKEN_SECRET || TWILIO_AUTH_TOKEN || crypto.randomBytes(32).toString('hex');
+
+export const isWebhookAuthEnabled = () => TWILIO_WEBHOOK_AUTH;
+
+// Authentication is on but signatures cannot be checked: webhooks are refused rather than let through
+export const isWebhookAuthMisconfigured = () => TWILIO_WEBHOOK_AUTH && !TWILIO_AUTH_TOKEN;
+
+export const isStreamAuthEnabled = () => TWILIO_WEBHOOK_AUTH;
+
+// Fastify preHandler for routes Twilio requests: reject anything without a valid X-Twilio-Signature.
+// Twilio signs the URL it requested, so set PUBLIC_BASE_URL when behind a proxy that rewrites the host.
+export const verifyTwilioWebhook = async (request, reply) => {
+    if (!isWebhookAuthEnabled()) return;
+    if (isWebhookAuthMisconfigured()) {
+        console.error(`Refused Twilio webhook ${request.method} ${request.url}: TWILIO_AUTH_TOKEN is not set`);
+        return reply.code(503).send({ error: 'Twilio webhook authentication is not configured' });
+    }
+
+    const url = `${PUBLIC_BASE_URL || `https://${request.headers.host}`}${request.url}`;
+    const params = request.method === 'POST' ? request.body || {} : {};
+    if (!isValidTwilioSignature({ url, params, signature: request.headers['x-twilio-signature'] })) {
+        console.warn(`Rejected Twilio webhook with a missing or invalid signature: ${request.method} ${request.url}`);
+        return reply.code(403).send({ error: 'Invalid Twilio signature' });
+    }
+};
+
+// Constant-time string comparison (hashing first so differing lengths leak nothing)
+const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+export const safeEqual = (a, b) => crypto.timingSafeEqual(digest(a), digest(b));
+
+// Browsers send an Origin header with every WebSocket handshake. Only pages served by this server
+// may open a socket, so another site a user visits cannot hijack their session; other clients send none.
+export const isSameOrigin = (request) => {
+    const { origin } = request.headers;
+    if (!origin) return true;
+    try {
+        const { host } = new URL(origin);
+        return host === request.headers.host || (Boolean(PUBLIC_BASE_URL) && host === new URL(PUBLIC_BASE_URL).host);
+    } catch {
+        return false;
+    }
+};
+
+// Fastify preHandler for the HTTP APIs: require `Authorization: Bearer <token>`. While the token is
+// unset the API refuses every request, so a missing setting never leaves it open.
+export const requireBearerToken = (token, setting) => async (request, reply) => {
+    if (!token) {
+        return reply.code(503).send({ error: `Set ${setting} to enable this API` });
+    }
+    const [scheme, value] = (request.headers.authorization || '').split(' ');
+    if (scheme !== 'Bearer' || !value || !safeEqual(value, token)) {
+        return reply.code(401).send({ error: 'Unauthorized' });
+    }
+};
+
+const sign = (body) => crypto.createHmac('sha256', tokenSecret).update(body).digest('base64url');
+
+// Short-lived token handed to the media stream as a <Parameter>. The claims bind it to one call,
+// e.g. { callSid } for inbound calls or { outboundContextId } for calls we place.
+export const createStreamToken = (claims, ttlMs = STREAM_TOKEN_TTL_MS) => {
+    const body = Buffer.from(JSON.stringify({ ...claims, exp: Date.now() + ttlMs })).toString('base64url');
+    return `${body}.${sign(body)}`;
+};
+
+// Check a stream token's signature and expiry, and that each claim matches the stream it arrived on
+export const verifyStreamToken = (token, actual) => {
+    const [body, signature] = String(token || '').split('.');
+    if (!body || !signature) return false;
+
+    const expected = Buffer.from(sign(body));
+    if (expected.length !== Buffer.byteLength(signature) || !crypto.timingSafeEqual(expected, Buffer.from(signature))) {
+        return false;
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch (error) {
+        return false;
+    }
+
+    if (!(claims.exp > Date.now())) return false;
+    return Object.entries(claims).every(([key, value]) => key === 'exp' || actual[key] === value);
+};
+
+const allowedCallers = ALLOWED_CALLERS.map(normalizePhoneNumber).filter(Boolean);
+const blockedCallers = BLOCKED_CALLERS.map(normalizePhoneNumber).filter(Boolean);
+
+// Twilio's stand-ins for a withheld caller ID: ANONYMOUS, RESTRICTED, UNAVAILABLE, BLOCKED and UNKNOWN spelled on a keypad
+const WITHHELD_CALLER_IDS = ['266696687', '7378742833', '86282452253', '2562533', '8656696'];
+
+// Recent call start times per caller number
+const recentCalls = new Map();
+
+const isRateLimited = (key) => {
+    const now = Date.now();
+    const recent = (recentCalls.get(key) || []).filter(time => time > now - HOUR_MS);
+    const limited = recent.length >= CALLER_MAX_CALLS_PER_HOUR;
+    if (!limited) recent.push(now);
+    recentCalls.set(key, recent);
+
+    // Drop callers whose last call is more than an hour old
+    if (recentCalls.size > 1000) {
+        recentCalls.forEach((times, number) => {
+            if (times.every(time => time <= now - HOUR_MS)) recentCalls.delete(number);
+        });
+    }
+    return limited;
+};
+
+// Decide whether to answer an inbound call. Returns { allowed: true } or { allowed: false, reason }.
+export const screenCaller = (phoneNumber) => {
+    const digits = normalizePhoneNumber(phoneNumber);
+
+    if (digits && blockedCallers.includes(digits)) {
+        return { allowed: false, reason: 'blocked' };
+    }
+    if (allowedCallers.length > 0 && !allowedCallers.includes(digits)) {
+        return { allowed: false, reason: 'not_allowed' };
+    }
+    // Callers without a real number are not one caller, so the per-number limit does not apply to them
+    const hasCallerId = Boolean(digits) && !WITHHELD_CALLER_IDS.includes(digits);
+    if (CALLER_MAX_CALLS_PER_HOUR > 0 && hasCallerId && isRateLimited(digits)) {
+        return { allowed: false, reason: 'rate_limited' };
+    }
+    return { allowed: true };
+};
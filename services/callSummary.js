@@ -0,0 +1,132 @@
+import fetch from 'node-fetch';
+import { OPENAI_API_KEY, OPENAI_CHAT_COMPLETIONS_URL, CALL_SUMMARY_MODEL, CALL_SUMMARY_TIMEOUT_MS } from '../config.js';
+import { parseToolCallArguments } from '../stores/callStore.js';
+
+// Every summary uses one of these; 'unknown' is for when neither the rules nor the model could tell
+const OUTCOMES = ['resolved', 'product_shortlisted', 'transferred', 'follow_up_needed', 'abandoned', 'failed', 'unknown'];
+const SENTIMENTS = ['positive', 'neutral', 'negative', 'unknown'];
+
+// Keep the end of long transcripts, where the outcome is
+const MAX_TRANSCRIPT_CHARS = 12000;
+
+// Facts read straight off the call record: what was searched for, which SKUs came up and how the call ended
+const extractCallFacts = (call, callState = {}) => {
+    const productsSearched = new Set();
+    const skusDiscussed = new Set();
+
+    for (const entry of call.transcript) {
+        if (entry.type === 'tool_call') {
+            const { sku, skus } = parseToolCallArguments(entry);
+            [sku, ...(Array.isArray(skus) ? skus : [])].filter(Boolean).forEach(value => skusDiscussed.add(Number(value)));
+        }
+        // The normalized terms that were actually searched; later pages of a search repeat them
+        if (entry.type === 'tool_result' && entry.name === 'bestBuyGeneralSearch' && entry.output?.searchTerms) {
+            productsSearched.add(entry.output.searchTerms.join(' '));
+        }
+    }
+
+    return {
+        streamSid: call.streamSid,
+        callSid: call.callSid,
+        callerNumber: call.callerNumber || null,
+        persona: call.persona,
+        direction: call.direction || 'inbound',
+        channel: call.channel || 'twilio',
+        startedAt: call.startedAt,
+        endedAt: call.endedAt,
+        durationSeconds: Math.round((Date.parse(call.endedAt) - Date.parse(call.startedAt)) / 1000),
+        productsSearched: [...productsSearched],
+        skusDiscussed: [...skusDiscussed],
+        shortlistedSkus: (callState.shortlist || []).map(item => item.sku),
+        transferred: call.transfer?.status === 'completed',
+        ...(call.transfer && { transfer: { reason: call.transfer.reason, status: call.transfer.status } }),
+        callerTurns: call.transcript.filter(entry => entry.type === 'caller' && entry.text).length
+    };
+};
+
+// Best guess without a model: only the outcome can be told from the facts
+const classifyByRules = (call, facts) => {
+    let outcome = 'unknown';
+    if (facts.transferred) outcome = 'transferred';
+    else if (call.realtimeFailure) outcome = 'failed';
+    else if (facts.callerTurns === 0) outcome = 'abandoned';
+    else if (facts.shortlistedSkus.length > 0) outcome = 'product_shortlisted';
+
+    return {
+        intent: facts.productsSearched.length > 0 ? `Product search: ${facts.productsSearched[0]}` : 'unknown',
+        outcome,
+        sentiment: 'unknown',
+        classifiedBy: 'rules'
+    };
+};
+
+const describeTranscript = (transcript) => transcript
+    .map(entry => {
+        switch (entry.type) {
+            case 'caller': return entry.text && `Caller: ${entry.text}`;
+            case 'assistant': return entry.text && `Agent: ${entry.text}`;
+            case 'keypad': return `Caller keyed in: ${entry.shortcut || entry.digits}`;
+            case 'tool_call': return `[${entry.name} ${entry.arguments}]`;
+            case 'transfer': return `[transfer ${entry.status}]`;
+            default: return null;
+        }
+    })
+    .filter(Boolean)
+    .join('\n')
+    .slice(-MAX_TRANSCRIPT_CHARS);
+
+const classifyWithModel = async (call, facts) => {
+    const response = await fetch(OPENAI_CHAT_COMPLETIONS_URL, {
+        method: 'POST',
+        headers: {
+            Authorization: `Bearer ${OPENAI_API_KEY}`,
+            'Content-Type': 'application/json'
+        },
+        // A stalled request would hold up the summary and the CRM export; the rules are used instead
+        signal: AbortSignal.timeout(CALL_SUMMARY_TIMEOUT_MS),
+        body: JSON.stringify({
+            model: CALL_SUMMARY_MODEL,
+            temperature: 0,
+            response_format: { type: 'json_object' },
+            messages: [
+                {
+                    role: 'system',
+                    content: `You summarize phone calls between Best Buy customers and Cypher, an AI phone agent, for the CRM and merchandising teams. Reply with a JSON object with these keys: "intent" (why the customer called, in a few words, in English), "outcome" (one of ${OUTCOMES.join(', ')}), "sentiment" (the customer's sentiment at the end of the call: one of ${SENTIMENTS.join(', ')}) and "notes" (one or two sentences on what happened, in English).`
+                },
+                {
+                    role: 'user',
+                    content: `The caller was ${facts.transferred ? '' : 'not '}transferred to a person.\n\n${describeTranscript(call.transcript)}`
+                }
+            ]
+        })
+    });
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const result = JSON.parse((await response.json()).choices[0].message.content);
+    return {
+        intent: typeof result.intent === 'string' && result.intent ? result.intent : 'unknown',
+        outcome: OUTCOMES.includes(result.outcome) ? result.outcome : 'unknown',
+        sentiment: SENTIMENTS.includes(result.sentiment) ? result.sentiment : 'unknown',
+        ...(typeof result.notes === 'string' && { notes: result.notes }),
+        classifiedBy: 'model'
+    };
+};
+
+// Structured summary of a finished call. Intent, outcome and sentiment come from CALL_SUMMARY_MODEL when
+// it is set and the caller said anything; otherwise, or if the model fails, from simple rules.
+export const summarizeCall = async (call, callState) => {
+    const facts = extractCallFacts(call, callState);
+
+    let classification = classifyByRules(call, facts);
+    if (CALL_SUMMARY_MODEL && OPENAI_API_KEY && facts.callerTurns > 0) {
+        try {
+            classification = await classifyWithModel(call, facts);
+        } catch (error) {
+            console.error('Error classifying call with the model, using rules instead:', error);
+        }
+    }
+
+    return { ...facts, ...classification, generatedAt: new Date().toISOString() };
+};
@@ -0,0 +1,105 @@
+import { getCallerProfile, saveCallerProfile } from '../stores/callerProfileStore.js';
+import { parseToolCallArguments } from '../stores/callStore.js';
+
+const MAX_SEARCHES = 10;
+const MAX_PRODUCTS = 10;
+const MAX_BUDGET_HINTS = 5;
+
+// A spending limit: "under $800", "up to 500 bucks", "budget is 1,200". After "under", "about" and the like
+// the amount needs a currency marker; after "budget" it does not. An amount followed by a unit
+// ("up to 75 inches", "under 40 pounds", "about 3 times") is never a budget.
+const BUDGET_PATTERN = /\b(under|below|less than|no more than|up to|around|about|budget (?:is |of )?|max(?:imum)? (?:of )?)\s*(\$)?\s*(\d[\d,]*)(\s*(?:dollars|bucks)\b)?(?!\s*(?:[\d,]|"|%|(?:inch|inches|in|pounds?|lbs?|kg|feet|foot|ft|times?|gb|tb|hz|watts?|mp|percent|minutes?|hours?|days?|weeks?|months?|years?)\b))/gi;
+
+const isBudget = ([, qualifier, dollarSign, , currencyWord]) =>
+    Boolean(dollarSign || currencyWord) || qualifier.toLowerCase().startsWith('budget');
+
+// Most recent first, de-duplicated by key, capped at `max`
+const mergeRecent = (existing, additions, key, max) => {
+    const merged = [...additions.reverse(), ...existing];
+    const seen = new Set();
+    return merged
+        .filter(item => {
+            const id = key(item);
+            if (seen.has(id)) return false;
+            seen.add(id);
+            return true;
+        })
+        .slice(0, max);
+};
+
+// Fold what happened on a finished call into the caller's profile
+export const updateProfileFromCall = (profile, call, callState = {}) => {
+    const now = call.endedAt || new Date().toISOString();
+    const searches = [];
+    const products = [];
+    const budgetHints = [];
+
+    for (const entry of call.transcript) {
+        if (entry.type === 'tool_call' && entry.name === 'bestBuyGeneralSearch') {
+            const { searchTerms } = parseToolCallArguments(entry);
+            if (Array.isArray(searchTerms) && searchTerms.length > 0) {
+                searches.push({ terms: searchTerms.join(' '), at: entry.at });
+            }
+        }
+
+        if (entry.type === 'tool_result' && !entry.output?.error) {
+            const product = entry.output?.product || (entry.output?.sku && entry.output);
+            if (product?.sku) {
+                products.push({ sku: product.sku, name: product.name, at: entry.at });
+            }
+        }
+
+        if (entry.type === 'caller' && entry.text) {
+            for (const match of [...entry.text.matchAll(BUDGET_PATTERN)].filter(isBudget)) {
+                budgetHints.push({ text: match[0].trim(), at: entry.at });
+            }
+        }
+    }
+
+    return {
+        phoneNumber: profile?.phoneNumber || call.callerNumber,
+        firstSeen: profile?.firstSeen || call.startedAt,
+        lastSeen: now,
+        callCount: (profile?.callCount || 0) + 1,
+        searches: mergeRecent(profile?.searches || [], searches, item => item.terms, MAX_SEARCHES),
+        products: mergeRecent(profile?.products || [], products, item => item.sku, MAX_PRODUCTS),
+        preferredStore: callState.preferredStore || profile?.preferredStore || null,
+        budgetHints: mergeRecent(profile?.budgetHints || [], budgetHints, item => item.text.toLowerCase(), MAX_BUDGET_HINTS)
+    };
+};
+
+// Short prompt text describing a returning caller, or an empty string for a new one
+export const summarizeProfile = (profile) => {
+    if (!profile) return '';
+
+    const lastSeen = new Date(profile.lastSeen).toLocaleDateString('en-US', { month: 'long', day: 'numeric' });
+    const parts = [
+        `This is a returning caller: they have called ${profile.callCount} time${profile.callCount === 1 ? '' : 's'} before, most recently on ${lastSeen}.`
+    ];
+    if (profile.searches.length > 0) {
+        parts.push(`Previously searched for: ${profile.searches.slice(0, 3).map(search => search.terms).join('; ')}.`);
+    }
+    if (profile.products.length > 0) {
+        parts.push(`Products discussed: ${profile.products.slice(0, 3).map(product => `${product.name} (SKU ${product.sku})`).join('; ')}.`);
+    }
+    if (profile.preferredStore) {
+        parts.push(`Their store: ${profile.preferredStore.name || 'store'} (storeId ${profile.preferredStore.storeId}).`);
+    }
+    if (profile.budgetHints.length > 0) {
+        parts.push(`Budget they mentioned: ${profile.budgetHints.map(hint => hint.text).join('; ')}.`);
+    }
+    parts.push('You may briefly mention what they looked at last time if it is relevant, but do not read this list out.');
+    return parts.join(' ');
+};
+
+// Load, update and save the profile for the number on a finished call
+export const rememberCall = async (call, callState) => {
+    if (!call.callerNumber) return;
+
+    try {
+        const profile = await getCallerProfile(call.callerNumber);
+        await saveCallerProfile(updateProfileFromCall(profile, call, callState));
+    } catch (error) {
+        console.error('Error updating caller profile:', error);
+    }
+};
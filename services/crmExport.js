@@ -0,0 +1,53 @@
+import crypto from 'node:crypto';
+import fetch from 'node-fetch';
+import { CRM_WEBHOOK_URL, CRM_WEBHOOK_SECRET, CRM_WEBHOOK_MAX_ATTEMPTS, CRM_WEBHOOK_RETRY_DELAY_MS } from '../config.js';
+import { appendDeadLetter } from '../stores/deadLetterStore.js';
+
+const MAX_RETRY_DELAY_MS = 60 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export const isCrmExportConfigured = () => Boolean(CRM_WEBHOOK_URL);
+
+// Hex HMAC-SHA256 of the request body, sent as X-Signature: sha256=<hex> when CRM_WEBHOOK_SECRET is set
+const signWebhookBody = (body) => crypto.createHmac('sha256', CRM_WEBHOOK_SECRET).update(body).digest('hex');
+
+// Network errors, timeouts, rate limiting and server errors are worth retrying; any other 4xx means
+// the receiver refused this payload and will keep refusing it
+const isRetryable = (status) => status === undefined || status === 408 || status === 429 || status >= 500;
+
+// POST a call summary to CRM_WEBHOOK_URL, retrying with exponential backoff. A summary that still
+// cannot be delivered is appended to the dead-letter file. Returns { delivered, attempts, error? }.
+export const exportCallSummary = async (summary) => {
+    const payload = { event: 'call.summary', summary };
+    const body = JSON.stringify(payload);
+    const headers = {
+        'Content-Type': 'application/json',
+        // Retries carry the same key, so the receiver can drop duplicates
+        'Idempotency-Key': summary.streamSid
+    };
+    if (CRM_WEBHOOK_SECRET) headers['X-Signature'] = `sha256=${signWebhookBody(body)}`;
+
+    let attempts = 0;
+    let error;
+    while (attempts < CRM_WEBHOOK_MAX_ATTEMPTS) {
+        attempts++;
+        let status;
+        try {
+            const response = await fetch(CRM_WEBHOOK_URL, { method: 'POST', headers, body });
+            if (response.ok) return { delivered: true, attempts };
+            status = response.status;
+            error = `HTTP error! status: ${status}`;
+        } catch (fetchError) {
+            error = fetchError.message;
+        }
+
+        if (!isRetryable(status) || attempts === CRM_WEBHOOK_MAX_ATTEMPTS) break;
+        console.warn(`CRM webhook attempt ${attempts} for ${summary.streamSid} failed (${error}), retrying`);
+        await sleep(Math.min(CRM_WEBHOOK_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS));
+    }
+
+    console.error(`Giving up on CRM webhook for ${summary.streamSid} after ${attempts} attempt(s): ${error}`);
+    await appendDeadLetter({ failedAt: new Date().toISOString(), url: CRM_WEBHOOK_URL, attempts, error, payload });
+    return { delivered: false, attempts, error };
+};
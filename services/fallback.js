@@ -0,0 +1,29 @@
+import { OPENAI_FALLBACK, TRANSFER_TARGET } from '../config.js';
+import { escapeXml, updateCall } from './twilio.js';
+
+// What to do with the caller when the voice agent is unavailable
+export const getFallbackMode = () => OPENAI_FALLBACK || (TRANSFER_TARGET ? 'transfer' : 'voicemail');
+
+// Spoken apology followed by a transfer, a voicemail recording, or a hang-up
+export const buildFallbackTwiml = ({ persona, mode, voicemailActionUrl }) => {
+    const say = (text) => `<Say language="${escapeXml(persona.language)}">${escapeXml(text)}</Say>`;
+    let next;
+    if (mode === 'transfer' && TRANSFER_TARGET) {
+        next = say(persona.fallback.transfer) +
+               `<Dial>${TRANSFER_TARGET.startsWith('sip:') ? `<Sip>${escapeXml(TRANSFER_TARGET)}</Sip>` : escapeXml(TRANSFER_TARGET)}</Dial>`;
+    } else if (mode === 'voicemail') {
+        next = say(persona.fallback.voicemail) +
+               `<Record maxLength="120" playBeep="true" action="${escapeXml(voicemailActionUrl)}" />`;
+    } else {
+        next = say(persona.fallback.hangup) + '<Hangup/>';
+    }
+
+    return `<?xml version="1.0" encoding="UTF-8"?><Response>${say(persona.fallback.apology)}${next}</Response>`;
+};
+
+// Redirect a live call to the fallback TwiML
+export const redirectToFallback = async ({ callSid, persona, voicemailActionUrl }) => {
+    const mode = getFallbackMode();
+    await updateCall(callSid, buildFallbackTwiml({ persona, mode, voicemailActionUrl }));
+    return mode;
+};
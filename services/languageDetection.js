@@ -0,0 +1,40 @@
+// Frequent words per language (ISO 639-1 code), without accents. A short phone utterance like
+// "hola, busco una tele" has a few of them, which is enough to pick the caller's language.
+const COMMON_WORDS = {
+    en: [
+        'hi', 'hello', 'hey', 'yes', 'the', 'a', 'an', 'and', 'is', 'are', 'i', 'im', 'my', 'me', 'you',
+        'your', 'we', 'it', 'this', 'that', 'what', 'how', 'do', 'does', 'can', 'want', 'need', 'looking',
+        'for', 'with', 'to', 'of', 'in', 'have', 'thanks', 'thank', 'please', 'buy', 'price', 'store'
+    ],
+    es: [
+        'hola', 'buenos', 'buenas', 'dias', 'tardes', 'si', 'el', 'la', 'los', 'las', 'un', 'una', 'unos',
+        'y', 'es', 'son', 'yo', 'mi', 'me', 'usted', 'tu', 'que', 'como', 'donde', 'cuanto', 'cuesta',
+        'quiero', 'quisiera', 'necesito', 'busco', 'buscando', 'para', 'con', 'de', 'del', 'por', 'favor',
+        'gracias', 'tiene', 'tienen', 'comprar', 'precio', 'tienda', 'esta', 'este', 'pero', 'muy'
+    ]
+};
+
+const WORD_SETS = Object.entries(COMMON_WORDS).map(([language, words]) => [language, new Set(words)]);
+
+// Lowercase words with accents removed ("¿Cuánto?" → "cuanto")
+const toWords = (text) => text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z]+/)
+    .filter(Boolean);
+
+// The language code of a caller utterance, or null when it is too short or too mixed to tell
+export const detectLanguage = (text = '') => {
+    const words = toWords(text);
+    const scores = WORD_SETS
+        .map(([language, set]) => ({ language, score: words.filter(word => set.has(word)).length }))
+        .sort((a, b) => b.score - a.score);
+
+    const [best, runnerUp] = scores;
+    if (best.score === 0 || best.score === runnerUp?.score) return null;
+    return best.language;
+};
+
+// "es-MX" → "es"
+export const baseLanguage = (locale = '') => locale.split('-')[0].toLowerCase();
@@ -0,0 +1,154 @@
+// In-process metrics rendered in the Prometheus text exposition format (served at /metrics)
+const registry = [];
+
+const escapeLabelValue = (value) => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+};
+
+// One series per distinct label set, keyed by its formatted labels
+const createSeries = (create) => {
+    const series = new Map();
+    return {
+        get: (labels = {}) => {
+            const key = formatLabels(labels);
+            if (!series.has(key)) series.set(key, { labels, ...create() });
+            return series.get(key);
+        },
+        all: () => [...series.values()]
+    };
+};
+
+const register = (metric) => {
+    registry.push(metric);
+    return metric;
+};
+
+export const createCounter = ({ name, help }) => {
+    const series = createSeries(() => ({ value: 0 }));
+    return register({
+        inc: (labels, amount = 1) => {
+            series.get(labels).value += amount;
+        },
+        render: () => [
+            `# HELP ${name} ${help}`,
+            `# TYPE ${name} counter`,
+            ...series.all().map(entry => `${name}${formatLabels(entry.labels)} ${entry.value}`)
+        ]
+    });
+};
+
+export const createGauge = ({ name, help }) => {
+    const series = createSeries(() => ({ value: 0 }));
+    return register({
+        set: (labels, value) => {
+            series.get(labels).value = value;
+        },
+        inc: (labels) => {
+            series.get(labels).value++;
+        },
+        dec: (labels) => {
+            series.get(labels).value--;
+        },
+        render: () => [
+            `# HELP ${name} ${help}`,
+            `# TYPE ${name} gauge`,
+            ...series.all().map(entry => `${name}${formatLabels(entry.labels)} ${entry.value}`)
+        ]
+    });
+};
+
+// Buckets are upper bounds in the metric's unit; each bucket counts observations <= its bound
+export const createHistogram = ({ name, help, buckets }) => {
+    const series = createSeries(() => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+    return register({
+        observe: (labels, value) => {
+            const entry = series.get(labels);
+            buckets.forEach((bound, index) => {
+                if (value <= bound) entry.counts[index]++;
+            });
+            entry.sum += value;
+            entry.count++;
+        },
+        render: () => [
+            `# HELP ${name} ${help}`,
+            `# TYPE ${name} histogram`,
+            ...series.all().flatMap(entry => [
+                ...buckets.map((bound, index) =>
+                    `${name}_bucket${formatLabels({ ...entry.labels, le: bound })} ${entry.counts[index]}`),
+                `${name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`,
+                `${name}_sum${formatLabels(entry.labels)} ${entry.sum}`,
+                `${name}_count${formatLabels(entry.labels)} ${entry.count}`
+            ])
+        ]
+    });
+};
+
+export const renderMetrics = () => registry.flatMap(metric => metric.render()).join('\n') + '\n';
+
+// Application metrics
+export const activeCalls = createGauge({
+    name: 'voice_active_calls',
+    help: 'Media streams currently connected.'
+});
+activeCalls.set({}, 0);
+
+export const callDuration = createHistogram({
+    name: 'voice_call_duration_seconds',
+    help: 'Length of finished calls.',
+    buckets: [15, 30, 60, 120, 300, 600, 1200, 1800, 3600]
+});
+
+export const responseLatency = createHistogram({
+    name: 'voice_response_latency_seconds',
+    help: 'Time from the caller finishing speaking (speech_stopped) to the first audio of the reply.',
+    buckets: [0.25, 0.5, 0.75, 1, 1.5, 2, 3, 5, 10]
+});
+
+export const toolCalls = createCounter({
+    name: 'voice_tool_calls_total',
+    help: 'Tool calls by tool name and outcome ("ok" or the error type).'
+});
+
+export const toolCallDuration = createHistogram({
+    name: 'voice_tool_call_duration_seconds',
+    help: 'Tool call latency by tool name.',
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10]
+});
+
+export const interruptions = createCounter({
+    name: 'voice_interruptions_total',
+    help: 'Times the caller barged in while the agent was speaking.'
+});
+interruptions.inc({}, 0);
+
+export const rateLimitRemaining = createGauge({
+    name: 'openai_rate_limit_remaining',
+    help: 'Remaining OpenAI Realtime quota from the latest rate_limits.updated event, by limit name.'
+});
+
+export const rateLimitResetSeconds = createGauge({
+    name: 'openai_rate_limit_reset_seconds',
+    help: 'Seconds until the OpenAI Realtime limit resets, from the latest rate_limits.updated event.'
+});
+
+// Count and time one tool call; results carrying an error count as failures
+export const recordToolCall = (tool, result, durationMs) => {
+    const outcome = result?.error ? (result.error.type || 'tool_error') : 'ok';
+    toolCalls.inc({ tool, outcome });
+    toolCallDuration.observe({ tool }, durationMs / 1000);
+};
+
+// Latest values from a Realtime rate_limits.updated event
+export const recordRateLimits = (rateLimits = []) => {
+    rateLimits.forEach(({ name, remaining, reset_seconds: resetSeconds }) => {
+        rateLimitRemaining.set({ name }, remaining);
+        rateLimitResetSeconds.set({ name }, resetSeconds);
+    });
+};
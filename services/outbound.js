@@ -0,0 +1,44 @@
+import crypto from 'node:crypto';
+import { TWILIO_PHONE_NUMBER } from '../config.js';
+import { createCall, escapeXml, isTwilioConfigured } from './twilio.js';
+import { createStreamToken } from './callSecurity.js';
+
+// Contexts are held until the callee answers and the media stream starts
+const CONTEXT_TTL_MS = 30 * 60 * 1000;
+const pendingContexts = new Map();
+
+export const isOutboundConfigured = () => isTwilioConfigured() && Boolean(TWILIO_PHONE_NUMBER);
+
+// Render the context payload (free text or a JSON object) as prompt text
+export const describeContext = (context) => (typeof context === 'string' ? context : JSON.stringify(context));
+
+// Claim the context for an answered outbound call. Each context can only be used once.
+export const takeOutboundContext = (contextId) => {
+    const entry = pendingContexts.get(contextId);
+    pendingContexts.delete(contextId);
+    return entry ? entry.context : null;
+};
+
+// Place a call through Twilio that connects to the media stream bridge with the given context
+export const placeOutboundCall = async ({ to, context, personaId, streamUrl }) => {
+    const contextId = crypto.randomUUID();
+    const timer = setTimeout(() => pendingContexts.delete(contextId), CONTEXT_TTL_MS);
+    timer.unref();
+    pendingContexts.set(contextId, { context, timer });
+
+    const twiml = `<?xml version="1.0" encoding="UTF-8"?><Response><Connect><Stream url="${escapeXml(streamUrl)}">` +
+                  `<Parameter name="outboundContextId" value="${contextId}" />` +
+                  `<Parameter name="persona" value="${escapeXml(personaId)}" />` +
+                  `<Parameter name="callerNumber" value="${escapeXml(to)}" />` +
+                  `<Parameter name="streamToken" value="${createStreamToken({ outboundContextId: contextId }, CONTEXT_TTL_MS)}" />` +
+                  `</Stream></Connect></Response>`;
+
+    try {
+        const result = await createCall({ to, from: TWILIO_PHONE_NUMBER, twiml });
+        return { callSid: result.sid, status: result.status };
+    } catch (error) {
+        clearTimeout(timer);
+        pendingContexts.delete(contextId);
+        throw error;
+    }
+};
@@ -0,0 +1,42 @@
+import fetch from 'node-fetch';
+import { PERPLEXITY_API_KEY, PERPLEXITY_API_URL } from '../config.js';
+
+// Perplexity search function
+export const fetchPerplexityResponse = async (userQuestion) => {
+    const options = {
+        method: 'POST',
+        headers: {
+            Authorization: `Bearer ${PERPLEXITY_API_KEY}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            model: "llama-3.1-sonar-small-128k-online",
+            return_images: false,
+            return_related_questions: true,
+            stream: false,
+            temperature: 0.5,
+            messages: [
+                {
+                    content: "You are an internet-based AI assistant, helping another AI assistant (a phone agent) to assist a human. The phone agent will pass along the human's question, and you need to give the phone agent a quick, concise, and accurate response.",
+                    role: "system"
+                },
+                {
+                    role: "user",
+                    content: userQuestion
+                }
+            ]
+        })
+    };
+
+    try {
+        const response = await fetch(PERPLEXITY_API_URL, options);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const result = await response.json();
+        return { answer: result.choices[0].message.content };
+    } catch (error) {
+        console.error('Error fetching Perplexity API response:', error);
+        return { answer: "I apologize, but I encountered an error while searching for information. Please try asking your question again." };
+    }
+};
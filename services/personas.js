@@ -0,0 +1,107 @@
+import fs from 'node:fs';
+import { PERSONAS_FILE } from '../config.js';
+
+const DEFAULT_TURN_DETECTION = { type: 'server_vad' };
+
+// Lines spoken by Twilio when the voice agent is unavailable (see services/fallback.js)
+const DEFAULT_FALLBACK = {
+    apology: 'I\'m sorry, I\'m having technical trouble right now.',
+    transfer: 'Let me connect you with a team member.',
+    voicemail: 'Please leave your name, number and question after the beep, and someone will call you back.',
+    hangup: 'Please call back in a few minutes. Goodbye.'
+};
+
+// What a key pressed on its own does (see bridge/keypad.js); a persona can map a key to null to turn it off
+const KEYPAD_ACTIONS = ['transfer', 'repeat'];
+const DEFAULT_KEYPAD_SHORTCUTS = {
+    0: 'transfer',
+    '*': 'repeat'
+};
+
+let cachedConfig = null;
+let cachedMtimeMs = 0;
+
+const validatePersonaConfig = (config) => {
+    if (!config.personas || typeof config.personas !== 'object') {
+        throw new Error('"personas" must be an object of persona definitions');
+    }
+    if (!config.personas[config.defaultPersona]) {
+        throw new Error(`"defaultPersona" must name one of: ${Object.keys(config.personas).join(', ')}`);
+    }
+    for (const [id, persona] of Object.entries(config.personas)) {
+        for (const field of ['instructions', 'voice', 'greeting']) {
+            if (typeof persona[field] !== 'string' || !persona[field]) {
+                throw new Error(`Persona "${id}" is missing "${field}"`);
+            }
+        }
+        for (const [language, variantId] of Object.entries(persona.languageVariants || {})) {
+            if (!/^[a-z]{2}$/.test(language) || !config.personas[variantId]) {
+                throw new Error(`Persona "${id}" has an invalid language variant "${language}": use a two-letter language code and a persona id`);
+            }
+        }
+        for (const [key, action] of Object.entries(persona.keypadShortcuts || {})) {
+            if (!/^[0-9*]$/.test(key) || (action !== null && !KEYPAD_ACTIONS.includes(action))) {
+                throw new Error(`Persona "${id}" has an invalid keypad shortcut "${key}": use keys 0-9 or * and actions ${KEYPAD_ACTIONS.join(', ')} or null`);
+            }
+        }
+    }
+    for (const [number, id] of Object.entries(config.numbers || {})) {
+        if (!config.personas[id]) {
+            throw new Error(`Number ${number} points at unknown persona "${id}"`);
+        }
+    }
+};
+
+// Read the personas file, reloading it whenever its modification time changes.
+// A broken edit keeps the last good configuration in place.
+const loadPersonaConfig = () => {
+    const { mtimeMs } = fs.statSync(PERSONAS_FILE);
+    if (cachedConfig && mtimeMs === cachedMtimeMs) return cachedConfig;
+
+    cachedMtimeMs = mtimeMs;
+    try {
+        const config = JSON.parse(fs.readFileSync(PERSONAS_FILE, 'utf8'));
+        validatePersonaConfig(config);
+        cachedConfig = config;
+        console.log(`Loaded personas from ${PERSONAS_FILE}: ${Object.keys(config.personas).join(', ')}`);
+    } catch (error) {
+        if (!cachedConfig) throw error;
+        console.error(`Error reloading ${PERSONAS_FILE}, keeping the previous personas:`, error.message);
+    }
+    return cachedConfig;
+};
+
+// Pick a persona: an explicitly requested one, then the one mapped to the dialed number, then the default
+export const resolvePersonaId = ({ requested, to } = {}) => {
+    const config = loadPersonaConfig();
+    if (requested && config.personas[requested]) return requested;
+    if (to && config.numbers?.[to]) return config.numbers[to];
+    return config.defaultPersona;
+};
+
+// Full persona definition with defaults applied
+export const getPersona = (id) => {
+    const config = loadPersonaConfig();
+    const personaId = config.personas[id] ? id : config.defaultPersona;
+    const persona = config.personas[personaId];
+
+    return {
+        temperature: 0.8,
+        connectingMessage: 'Connecting you now...',
+        language: 'en-US',
+        languageMenu: false,
+        languageMenuPrompt: 'Press {digit}.',
+        languageVariants: {},
+        ...persona,
+        id: personaId,
+        turnDetection: persona.turnDetection || DEFAULT_TURN_DETECTION,
+        fallback: { ...DEFAULT_FALLBACK, ...persona.fallback },
+        keypadShortcuts: Object.fromEntries(Object.entries({ ...DEFAULT_KEYPAD_SHORTCUTS, ...persona.keypadShortcuts })
+            .filter(([, action]) => action))
+    };
+};
+
+// The choices for a persona's language menu: the persona itself as 1, then its language variants
+export const getLanguageOptions = (persona) => [persona.id, ...Object.values(persona.languageVariants)]
+    .filter((id, index, ids) => ids.indexOf(id) === index)
+    .map((id, index) => ({ digit: String(index + 1), persona: getPersona(id) }));
@@ -0,0 +1,40 @@
+// Spaces task start times so no more than `requestsPerSecond` begin each second.
+// Excess tasks wait in a FIFO queue instead of failing.
+export const createRateLimiter = ({ requestsPerSecond }) => {
+    const interval = 1000 / requestsPerSecond;
+    const queue = [];
+    let nextSlot = 0;
+    let timer = null;
+
+    const drain = () => {
+        timer = null;
+        while (queue.length > 0) {
+            const now = Date.now();
+            if (now < nextSlot) {
+                timer = setTimeout(drain, nextSlot - now);
+                return;
+            }
+            nextSlot = now + interval;
+            const { task, resolve, reject } = queue.shift();
+            Promise.resolve().then(task).then(resolve, reject);
+        }
+    };
+
+    const schedule = (task) => new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        if (!timer) drain();
+    });
+
+    // Push the next available slot back, e.g. after the upstream answers 429
+    const backOff = (ms) => {
+        nextSlot = Math.max(nextSlot, Date.now() + ms);
+    };
+
+    return {
+        schedule,
+        backOff,
+        get queued() {
+            return queue.length;
+        }
+    };
+};
@@ -0,0 +1,66 @@
+import fs from 'node:fs';
+import { SEARCH_TERMS_FILE } from '../config.js';
+
+// Rules from searchTerms.json; see the Readme for the file format
+const rules = JSON.parse(fs.readFileSync(SEARCH_TERMS_FILE, 'utf8'));
+
+const STOP_WORDS = new Set(rules.stopWords);
+const PRODUCT_TYPES = new Set(rules.productTypes);
+const SIZE_WORDS = new Set(Object.values(rules.sizeDefaults).flatMap(Object.keys));
+
+// Counts and sizes ("65", "1tb", "120hz") go after the product type and features
+const MEASUREMENT = /^\d+(\.\d+)?[a-z]*$/;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "portátil" → "portatil", so rules and spoken terms match with or without accents
+const stripAccents = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+// Longest phrases first, so "video game console" wins over "game console"
+const SYNONYMS = Object.entries(rules.synonyms)
+    .sort(([a], [b]) => b.length - a.length)
+    .map(([phrase, replacement]) => ({ pattern: new RegExp(`\\b${escapeRegExp(stripAccents(phrase))}\\b`, 'g'), replacement }));
+
+// A number (or a number word) followed by a unit spelling: "1 terabyte" → "1tb", "one tb" → "1tb",
+// "14-inch" → "14". A unit followed by another number is part of a name like "2-in-1" and is left alone.
+const NUMBER = `\\d+(?:\\.\\d+)?|${Object.keys(rules.numberWords).map(escapeRegExp).join('|')}`;
+const UNITS = Object.entries(rules.units).map(([abbreviation, spellings]) => ({
+    pattern: new RegExp(`\\b(${NUMBER})\\s*-?\\s*(?:${spellings.map(escapeRegExp).join('|')})(?![a-z])(?!-?\\d)`, 'g'),
+    abbreviation
+}));
+
+const rank = (term) => {
+    if (PRODUCT_TYPES.has(term)) return 0;
+    return MEASUREMENT.test(term) ? 2 : 1;
+};
+
+// Turn the model's search terms into atomic Best Buy keywords: lowercase without accents, synonyms
+// (including common Spanish product words) and unit abbreviations applied, stop words removed,
+// size words ("big") replaced with the category's default size, duplicates dropped, and ordered
+// product type → features → measurements.
+export const normalizeSearchTerms = (searchTerms) => {
+    let text = stripAccents(searchTerms.join(' ').toLowerCase());
+    SYNONYMS.forEach(({ pattern, replacement }) => {
+        text = text.replace(pattern, replacement);
+    });
+    UNITS.forEach(({ pattern, abbreviation }) => {
+        text = text.replace(pattern, (_, number) => `${rules.numberWords[number] || number}${abbreviation}`);
+    });
+
+    // Hyphens inside a word are kept, so "2-in-1" stays one term
+    const words = text
+        .split(/[^a-z0-9.-]+/)
+        .map(word => word.replace(/^[.-]+|[.-]+$/g, ''))
+        .filter(word => word && !STOP_WORDS.has(word));
+
+    const category = words.find(word => rules.sizeDefaults[word]);
+    const terms = [...new Set(words
+        .map(word => (SIZE_WORDS.has(word) ? rules.sizeDefaults[category]?.[word] : word))
+        .filter(Boolean))];
+
+    // Array.prototype.sort is stable, so terms keep their order within each rank
+    return terms.sort((a, b) => rank(a) - rank(b));
+};
+
+// Whether a term names the kind of product, which zero-result retries never drop
+export const isProductType = (term) => PRODUCT_TYPES.has(term);
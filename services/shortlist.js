@@ -0,0 +1,28 @@
+import { SHORTLIST_MMS, TWILIO_PHONE_NUMBER } from '../config.js';
+import { bestBuySpecificSearch } from './bestBuy.js';
+import { isTwilioConfigured, sendMessage } from './twilio.js';
+
+// Twilio accepts at most 10 media URLs per message
+const MAX_MEDIA = 10;
+
+export const canTextShortlist = (callerNumber) => Boolean(callerNumber) && isTwilioConfigured() && Boolean(TWILIO_PHONE_NUMBER);
+
+const formatPrice = (price) => (typeof price === 'number' ? `$${price.toFixed(2)}` : 'price unavailable');
+
+// Text the caller their shortlist with current sale prices and product links
+export const sendShortlist = async ({ to, shortlist }) => {
+    // Refresh prices at hang-up; lookups are usually still cached from the call
+    const items = await Promise.all(shortlist.map(async (item) => {
+        const { product } = await bestBuySpecificSearch(item.sku);
+        return { ...item, ...product };
+    }));
+
+    const lines = items.map((item, index) =>
+        `${index + 1}. ${item.name} - ${formatPrice(item.salePrice)} (SKU ${item.sku})${item.url ? `\n${item.url}` : ''}`
+    );
+    const body = `Your Best Buy shortlist from Cypher:\n\n${lines.join('\n\n')}`;
+    const mediaUrls = SHORTLIST_MMS ? items.map(item => item.image).filter(Boolean).slice(0, MAX_MEDIA) : [];
+
+    const message = await sendMessage({ to, from: TWILIO_PHONE_NUMBER, body, mediaUrls });
+    return { messageSid: message.sid, items: items.map(({ sku, name, salePrice }) => ({ sku, name, salePrice })) };
+};
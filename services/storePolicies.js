@@ -0,0 +1,190 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { POLICY_DOCS_DIR } from '../config.js';
+
+const DOCUMENT_EXTENSIONS = ['.md', '.txt'];
+
+// Long sections are split into passages of about this many characters, at paragraph breaks
+const MAX_PASSAGE_CHARS = 700;
+const MAX_SNIPPET_CHARS = 350;
+
+// BM25 ranking parameters; heading words count as if they appeared this many times in the passage
+const K1 = 1.2;
+const B = 0.75;
+const HEADING_WEIGHT = 2;
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'get', 'how', 'i', 'if', 'in',
+    'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our', 'so', 'that', 'the', 'their', 'them', 'there', 'this',
+    'to', 'was', 'what', 'whats', 'when', 'which', 'who', 'will', 'with', 'you', 'your', 'best', 'buy'
+]);
+
+// Crude stemming so "laptops"/"laptop", "returned"/"return" and "dropping"/"drop" match
+const undouble = (word) => word.replace(/([b-df-hj-np-tv-z])\1$/, '$1');
+
+const stem = (word) => {
+    if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+    if (word.length > 5 && word.endsWith('ing')) return undouble(word.slice(0, -3));
+    if (word.length > 4 && word.endsWith('ed')) return undouble(word.slice(0, -2));
+    if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+    return word;
+};
+
+const toTerms = (text) => text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(word => word && !STOP_WORDS.has(word))
+    .map(stem);
+
+// Split a document into its sections at markdown headings; text files without headings are one section.
+// The first top-level heading is the document's title.
+const parseSections = (text, fileName) => {
+    let title = path.basename(fileName, path.extname(fileName));
+    const sections = [];
+    let current = { heading: null, lines: [] };
+
+    for (const line of text.split(/\r?\n/)) {
+        const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+        if (heading) {
+            if (current.lines.some(Boolean)) sections.push(current);
+            if (heading[1].length === 1 && sections.length === 0 && current.heading === null) title = heading[2];
+            current = { heading: heading[1].length === 1 ? null : heading[2], lines: [] };
+        } else {
+            current.lines.push(line);
+        }
+    }
+    if (current.lines.some(Boolean)) sections.push(current);
+
+    return sections.map(section => ({ title, section: section.heading || title, text: section.lines.join('\n').trim() }));
+};
+
+// Paragraphs grouped into passages no longer than MAX_PASSAGE_CHARS (a longer paragraph stays whole)
+const splitPassages = (text) => {
+    const passages = [];
+    let current = '';
+    for (const paragraph of text.split(/\n\s*\n/).map(part => part.replace(/\s+/g, ' ').trim()).filter(Boolean)) {
+        if (current && current.length + paragraph.length > MAX_PASSAGE_CHARS) {
+            passages.push(current);
+            current = paragraph;
+        } else {
+            current = current ? `${current}\n\n${paragraph}` : paragraph;
+        }
+    }
+    if (current) passages.push(current);
+    return passages;
+};
+
+// Read every document in POLICY_DOCS_DIR and index its passages for BM25 ranking (an empty index while it is unset)
+const buildIndex = async () => {
+    const fileNames = !POLICY_DOCS_DIR ? [] : (await fs.readdir(POLICY_DOCS_DIR))
+        .filter(fileName => DOCUMENT_EXTENSIONS.includes(path.extname(fileName).toLowerCase()))
+        .sort();
+
+    const passages = [];
+    for (const fileName of fileNames) {
+        const text = await fs.readFile(path.join(POLICY_DOCS_DIR, fileName), 'utf8');
+        for (const { title, section, text: sectionText } of parseSections(text, fileName)) {
+            const headingTerms = toTerms(section === title ? title : `${title} ${section}`);
+            for (const passage of splitPassages(sectionText)) {
+                const terms = [...toTerms(passage), ...Array(HEADING_WEIGHT).fill(headingTerms).flat()];
+                const frequencies = new Map();
+                terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+                passages.push({ file: fileName, title, section, text: passage, length: terms.length, frequencies });
+            }
+        }
+    }
+
+    const documentFrequencies = new Map();
+    passages.forEach(passage => passage.frequencies.forEach((_, term) =>
+        documentFrequencies.set(term, (documentFrequencies.get(term) || 0) + 1)));
+
+    return {
+        passages,
+        documentFrequencies,
+        averageLength: passages.reduce((sum, passage) => sum + passage.length, 0) / (passages.length || 1),
+        documents: fileNames.length,
+        sections: new Set(passages.map(passage => `${passage.file}#${passage.section}`)).size,
+        indexedAt: new Date().toISOString()
+    };
+};
+
+// Where the index came from, for the log
+const POLICY_SOURCE = POLICY_DOCS_DIR ? `in ${POLICY_DOCS_DIR}` : '(POLICY_DOCS_DIR is not set)';
+
+let currentIndex = null;
+
+const getIndex = () => {
+    if (!currentIndex) {
+        currentIndex = buildIndex().then(index => {
+            console.log(`Indexed ${index.passages.length} policy passage(s) from ${index.documents} document(s) ${POLICY_SOURCE}`);
+            return index;
+        });
+        // A failed first build is retried on the next search
+        currentIndex.catch(() => currentIndex = null);
+    }
+    return currentIndex;
+};
+
+const describeIndex = ({ documents, sections, passages, indexedAt }) => ({ documents, sections, passages: passages.length, indexedAt });
+
+// Re-read the documents after they change. A failed reload keeps the previous index in place.
+export const reloadStorePolicies = async () => {
+    const index = await buildIndex();
+    currentIndex = Promise.resolve(index);
+    console.log(`Reloaded ${index.passages.length} policy passage(s) from ${index.documents} document(s) ${POLICY_SOURCE}`);
+    return describeIndex(index);
+};
+
+// The sentences of a passage that mention the most query terms, up to MAX_SNIPPET_CHARS, in their original order
+const buildSnippet = (text, queryTerms) => {
+    const sentences = text.replace(/\n+/g, ' ').match(/[^.!?]+[.!?]*/g).map(sentence => sentence.trim());
+    const ranked = sentences
+        .map((sentence, position) => ({ sentence, position, hits: toTerms(sentence).filter(term => queryTerms.has(term)).length }))
+        .sort((a, b) => b.hits - a.hits || a.position - b.position);
+
+    const chosen = [];
+    let length = 0;
+    for (const candidate of ranked) {
+        if (chosen.length > 0 && length + candidate.sentence.length > MAX_SNIPPET_CHARS) break;
+        chosen.push(candidate);
+        length += candidate.sentence.length;
+    }
+    // Sentences that were not next to each other are separated by an ellipsis
+    return chosen
+        .sort((a, b) => a.position - b.position)
+        .map((candidate, i) => (i > 0 && candidate.position !== chosen[i - 1].position + 1 ? `… ${candidate.sentence}` : candidate.sentence))
+        .join(' ');
+};
+
+// The passages that best answer a policy question, each with the document and section it came from
+export const searchStorePolicies = async (question, { limit = 3 } = {}) => {
+    const index = await getIndex();
+    const queryTerms = new Set(toTerms(question));
+
+    const results = index.passages
+        .map(passage => {
+            let score = 0;
+            queryTerms.forEach(term => {
+                const frequency = passage.frequencies.get(term);
+                if (!frequency) return;
+                const documentFrequency = index.documentFrequencies.get(term);
+                const idf = Math.log(1 + (index.passages.length - documentFrequency + 0.5) / (documentFrequency + 0.5));
+                score += idf * frequency * (K1 + 1) / (frequency + K1 * (1 - B + B * passage.length / index.averageLength));
+            });
+            return { passage, score };
+        })
+        .filter(({ score }) => score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+
+    return results.map(({ passage, score }) => ({
+        source: `${passage.title} › ${passage.section}`,
+        document: passage.file,
+        section: passage.section,
+        snippet: buildSnippet(passage.text, queryTerms),
+        score: Math.round(score * 100) / 100
+    }));
+};
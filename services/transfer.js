@@ -0,0 +1,44 @@
+import { TRANSFER_TARGET } from '../config.js';
+import { escapeXml, isTwilioConfigured, updateCall } from './twilio.js';
+
+const MAX_SUMMARY_ENTRIES = 6;
+
+export const isTransferConfigured = () => Boolean(TRANSFER_TARGET) && isTwilioConfigured();
+
+// Short spoken summary of the most recent caller and assistant turns
+export const summarizeTranscript = (transcript = []) => transcript
+    .filter(entry => entry.type === 'caller' || entry.type === 'assistant')
+    .slice(-MAX_SUMMARY_ENTRIES)
+    .map(entry => `${entry.type === 'caller' ? 'Caller' : 'Cypher'}: ${entry.text}`)
+    .join(' ');
+
+// Text read to the human agent before they are connected
+export const buildWhisper = (call) => [
+    'Incoming transfer from Cypher.',
+    call.transfer?.reason ? `Reason: ${call.transfer.reason}.` : '',
+    summarizeTranscript(call.transcript)
+].filter(Boolean).join(' ');
+
+// TwiML that dials the transfer target. Phone numbers get a whisper with the transcript so far;
+// SIP targets get the reason and summary as X- headers instead.
+export const buildTransferTwiml = ({ reason, transcript, whisperUrl }) => {
+    let target;
+    if (TRANSFER_TARGET.startsWith('sip:')) {
+        const headers = new URLSearchParams({
+            'X-Transfer-Reason': reason,
+            'X-Call-Summary': summarizeTranscript(transcript).slice(0, 512)
+        });
+        const separator = TRANSFER_TARGET.includes('?') ? '&' : '?';
+        target = `<Sip>${escapeXml(`${TRANSFER_TARGET}${separator}${headers}`)}</Sip>`;
+    } else {
+        target = `<Number url="${escapeXml(whisperUrl)}">${escapeXml(TRANSFER_TARGET)}</Number>`;
+    }
+
+    return `<?xml version="1.0" encoding="UTF-8"?><Response><Dial>${target}</Dial></Response>`;
+};
+
+// Redirect the live call to the transfer target
+export const transferCall = async ({ callSid, reason, transcript, whisperUrl }) => {
+    await updateCall(callSid, buildTransferTwiml({ reason, transcript, whisperUrl }));
+    return { target: TRANSFER_TARGET };
+};
@@ -0,0 +1,59 @@
+import crypto from 'node:crypto';
+import fetch from 'node-fetch';
+import { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_API_BASE_URL } from '../config.js';
+
+export const isTwilioConfigured = () => Boolean(TWILIO_ACCOUNT_SID && TWILIO_AUTH_TOKEN);
+
+// Escape text for use inside TwiML
+export const escapeXml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// X-Twilio-Signature for a webhook request: HMAC-SHA1 over the full URL followed by each POST
+// parameter name and value, sorted by name, keyed with the auth token
+export const computeTwilioSignature = (url, params = {}) => {
+    const data = Object.keys(params).sort().reduce((signed, key) =>
+        signed + [].concat(params[key]).map(value => key + value).join(''), url);
+    return crypto.createHmac('sha1', TWILIO_AUTH_TOKEN).update(data).digest('base64');
+};
+
+export const isValidTwilioSignature = ({ url, params, signature }) => {
+    if (!signature) return false;
+    const expected = Buffer.from(computeTwilioSignature(url, params));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// POST form parameters to an account-scoped Twilio REST resource
+const twilioRequest = async (resource, params) => {
+    const url = `${TWILIO_API_BASE_URL}/2010-04-01/Accounts/${TWILIO_ACCOUNT_SID}${resource}`;
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            Authorization: `Basic ${Buffer.from(`${TWILIO_ACCOUNT_SID}:${TWILIO_AUTH_TOKEN}`).toString('base64')}`,
+            'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams(params).toString()
+    });
+
+    if (!response.ok) {
+        throw new Error(`Twilio API request failed with status: ${response.status}`);
+    }
+    return response.json();
+};
+
+// Replace the TwiML of a live call, e.g. to redirect it away from the media stream
+export const updateCall = (callSid, twiml) => twilioRequest(`/Calls/${callSid}.json`, { Twiml: twiml });
+
+// Place a new call that runs the given TwiML when answered
+export const createCall = ({ to, from, twiml }) => twilioRequest('/Calls.json', { To: to, From: from, Twiml: twiml });
+
+// Send a text message. mediaUrls turns it into an MMS.
+export const sendMessage = ({ to, from, body, mediaUrls = [] }) => {
+    const params = new URLSearchParams({ To: to, From: from, Body: body });
+    mediaUrls.forEach(url => params.append('MediaUrl', url));
+    return twilioRequest('/Messages.json', params);
+};
@@ -0,0 +1,61 @@
+import { once } from 'node:events';
+import WebSocket from 'ws';
+import { createEventLog, matching } from './eventLog.js';
+
+// 20ms of 8kHz 16-bit PCM silence, the audio the browser page sends
+const SILENCE_FRAME = Buffer.alloc(320).toString('base64');
+
+// Scripted /browser-call client, standing in for public/browser-call.html
+export const createBrowserClient = async (url) => {
+    const ws = new WebSocket(url);
+    const log = createEventLog();
+    const pendingMarks = [];
+
+    const send = (event) => ws.send(JSON.stringify(event));
+    const ackMark = (name) => send({ type: 'mark', name });
+
+    ws.on('message', (data) => {
+        const event = JSON.parse(data);
+
+        // The page drops unplayed audio on 'clear' and never acknowledges its marks
+        if (event.type === 'mark') pendingMarks.push(event.name);
+        if (event.type === 'clear') pendingMarks.splice(0);
+
+        log.push(event);
+    });
+
+    await once(ws, 'open');
+
+    return {
+        received: log.events,
+        pendingMarks,
+
+        start: (persona) => send({ type: 'start', persona }),
+
+        // Send base64 PCM16 audio, 20ms of silence by default
+        audio: (audio = SILENCE_FRAME) => send({ type: 'audio', audio }),
+
+        // Acknowledge the oldest `count` outstanding marks, as if their audio finished playing
+        ackMarks: (count = pendingMarks.length) => {
+            pendingMarks.splice(0, count).forEach(ackMark);
+        },
+
+        dtmf: (digit) => send({ type: 'dtmf', digit }),
+
+        waitForEvent: (type, predicate = () => true, options) =>
+            log.waitFor(matching(`browser event ${type}`, event => event.type === type && predicate(event)), options),
+
+        // Resolves with the close code once the server drops the call
+        waitForClose: async () => {
+            if (ws.readyState === WebSocket.CLOSED) return null;
+            const [code] = await once(ws, 'close');
+            return code;
+        },
+
+        close: async () => {
+            if (ws.readyState === WebSocket.CLOSED) return;
+            ws.close();
+            await once(ws, 'close');
+        }
+    };
+};
@@ -0,0 +1,69 @@
+import crypto from 'node:crypto';
+import http from 'node:http';
+import { once } from 'node:events';
+import { fileURLToPath } from 'node:url';
+import { createEventLog, matching } from './eventLog.js';
+
+const readBody = async (req) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    return Buffer.concat(chunks).toString();
+};
+
+// Mock CRM webhook receiver for the post-call summaries. It checks the X-Signature when given the secret,
+// answers the first `failFirst` requests with a 503 to exercise retries, and refuses payloads matching
+// `reject` with a 422 so they end up in the dead-letter file. `verbose` logs each full payload.
+export const createCrmReceiver = async ({ port = 0, secret, failFirst = 0, reject = () => false, verbose = false } = {}) => {
+    const log = createEventLog();
+    let requestCount = 0;
+
+    const server = http.createServer(async (req, res) => {
+        const body = await readBody(req);
+        requestCount++;
+
+        let payload = null;
+        try {
+            payload = JSON.parse(body);
+        } catch {}
+
+        const expected = secret && `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+        let status = 200;
+        if (req.method !== 'POST') status = 405;
+        else if (!payload) status = 400;
+        else if (secret && req.headers['x-signature'] !== expected) status = 401;
+        else if (requestCount <= failFirst) status = 503;
+        else if (reject(payload)) status = 422;
+
+        console.log(`CRM receiver: ${status} for ${payload?.event} ${payload?.summary?.streamSid} (Idempotency-Key ${req.headers['idempotency-key']})`);
+        if (verbose && payload) console.log(JSON.stringify(payload, null, 2));
+        log.push({ status, payload });
+
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: status === 200 }));
+    });
+
+    server.listen(port);
+    await once(server, 'listening');
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}/`,
+        received: log.events,
+
+        // Wait for a request the receiver answered with `status` whose summary matches the predicate
+        waitForRequest: (status, predicate = () => true, options) =>
+            log.waitFor(matching(`CRM ${status} response`, request => request.status === status && predicate(request.payload?.summary)), options),
+
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+};
+
+// Standalone: `npm run crm-receiver`, then set CRM_WEBHOOK_URL=http://127.0.0.1:5055/ on the server
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const receiver = await createCrmReceiver({
+        port: Number(process.env.PORT) || 5055,
+        secret: process.env.CRM_WEBHOOK_SECRET,
+        failFirst: Number(process.env.FAIL_FIRST) || 0,
+        verbose: true
+    });
+    console.log(`Mock CRM receiver listening on ${receiver.url}`);
+}
@@ -0,0 +1,44 @@
+// Ordered log of received events that scripts can wait on
+export const createEventLog = () => {
+    const events = [];
+    const waiters = new Set();
+
+    const push = (event) => {
+        events.push(event);
+        waiters.forEach(waiter => waiter.check());
+    };
+
+    // Resolve with the first event at or after index `after` that matches the predicate
+    const waitFor = (predicate, { after = 0, timeout = 2000 } = {}) => new Promise((resolve, reject) => {
+        let timer;
+        const waiter = {};
+        const cleanup = () => {
+            clearTimeout(timer);
+            waiters.delete(waiter);
+        };
+
+        waiter.check = () => {
+            const match = events.find((event, index) => index >= after && predicate(event));
+            if (match) {
+                cleanup();
+                resolve(match);
+            }
+        };
+
+        timer = setTimeout(() => {
+            cleanup();
+            reject(new Error(`Timed out after ${timeout}ms waiting for ${predicate.description || 'event'}`));
+        }, timeout);
+
+        waiters.add(waiter);
+        waiter.check();
+    });
+
+    return { events, push, waitFor };
+};
+
+// Predicate helper so timeout errors name what was being waited for
+export const matching = (description, predicate) => Object.assign(predicate, { description });
+
+// Give the server a moment to process messages that have no observable reply (e.g. Twilio's start event)
+export const settle = (ms = 50) => new Promise(resolve => setTimeout(resolve, ms));
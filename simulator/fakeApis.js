@@ -0,0 +1,164 @@
+import http from 'node:http';
+import { once } from 'node:events';
+import { readFileSync } from 'node:fs';
+
+const readFixture = (name) => JSON.parse(readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8'));
+const PRODUCTS = readFixture('products.json');
+const STORES = readFixture('stores.json');
+const OPEN_BOX = readFixture('openBox.json');
+
+const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+};
+
+const readBody = async (req) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    return Buffer.concat(chunks).toString();
+};
+
+// Answer a Best Buy Products API query from the fixture catalog
+const searchProducts = (query) => {
+    const skus = [
+        ...[...query.matchAll(/sku=(\d+)/g)].map(match => match[1]),
+        ...(query.match(/sku in\(([\d,]+)\)/)?.[1].split(',') || [])
+    ].map(Number);
+    if (skus.length > 0) {
+        return PRODUCTS.filter(product => skus.includes(product.sku));
+    }
+
+    const terms = [...query.matchAll(/search=([^&)]+)/g)].map(match => decodeURIComponent(match[1]).toLowerCase());
+    const storeId = query.match(/\+stores\(storeId=(\d+)\)/)?.[1];
+    const store = storeId && STORES.find(entry => entry.storeId === Number(storeId));
+    const minReviewScore = Number(query.match(/customerReviewAverage>=([\d.]+)/)?.[1] || 0);
+    const inStoreOnly = query.includes('inStoreAvailability=true');
+    const minPrice = Number(query.match(/salePrice>=([\d.]+)/)?.[1] || 0);
+    const maxPrice = Number(query.match(/salePrice<=([\d.]+)/)?.[1] || Infinity);
+    const manufacturers = query.match(/manufacturer in\(([^)]+)\)/)?.[1].toLowerCase().split(',');
+    // categoryPath filters are accepted but not applied; the fixtures have no categories
+    return PRODUCTS.filter(product =>
+        terms.every(term => `${product.name} ${product.shortDescription}`.toLowerCase().includes(term)) &&
+        product.customerReviewAverage >= minReviewScore &&
+        (!inStoreOnly || product.inStoreAvailability) &&
+        product.salePrice >= minPrice && product.salePrice <= maxPrice &&
+        (!manufacturers || manufacturers.includes(product.manufacturer.toLowerCase())) &&
+        (!query.includes('onSale=true') || product.salePrice < product.regularPrice) &&
+        (!query.includes('freeShipping=true') || product.freeShipping) &&
+        (!storeId || (store && store.skus.includes(product.sku)))
+    );
+};
+
+// Sort ("salePrice.asc", "customerReviewAverage.dsc") and page a product list the way the Products API does
+const paginate = (products, params) => {
+    const [field, direction] = (params.get('sort') || '').split('.');
+    if (field) {
+        products = [...products].sort((a, b) => ((a[field] ?? 0) - (b[field] ?? 0)) * (direction === 'dsc' ? -1 : 1));
+    }
+    const pageSize = Number(params.get('pageSize') || 10);
+    const page = Number(params.get('page') || 1);
+    return {
+        total: products.length,
+        currentPage: page,
+        totalPages: Math.max(1, Math.ceil(products.length / pageSize)),
+        products: products.slice((page - 1) * pageSize, page * pageSize)
+    };
+};
+
+// Store Availability API: stores stocking a SKU, near a ZIP code or at one store
+const storeAvailability = (sku, params) => {
+    const storeId = params.get('storeId');
+    const stores = STORES
+        .filter(store => store.skus.includes(sku))
+        .filter(store => !storeId || store.storeId === Number(storeId))
+        .map(store => ({
+            storeID: String(store.storeId),
+            name: store.name,
+            address: store.address,
+            city: store.city,
+            state: store.region,
+            postalCode: store.postalCode,
+            distance: store.distance,
+            lowStock: false,
+            minPickupHours: store.minPickupHours
+        }));
+    return { ispuEligible: true, sku: String(sku), stores };
+};
+
+// Local stand-ins for the Best Buy and Perplexity HTTP APIs
+export const createFakeApis = async ({ port = 0 } = {}) => {
+    const requests = [];
+
+    const server = http.createServer(async (req, res) => {
+        const body = await readBody(req);
+        const url = new URL(req.url, 'http://localhost');
+        requests.push({ method: req.method, url: req.url, body });
+
+        const availabilityMatch = url.pathname.match(/^\/v1\/products\/(\d+)\/stores\.json$/);
+        if (availabilityMatch) {
+            return sendJson(res, 200, storeAvailability(Number(availabilityMatch[1]), url.searchParams));
+        }
+
+        if (url.pathname.startsWith('/v1/stores')) {
+            const query = decodeURIComponent(url.pathname.slice('/v1/stores'.length));
+            const ids = (query.match(/storeId in\(([\d,]+)\)/)?.[1] || '').split(',').map(Number);
+            const stores = STORES
+                .filter(store => ids.includes(store.storeId))
+                .map(({ skus, minPickupHours, distance, ...store }) => store);
+            return sendJson(res, 200, { total: stores.length, stores });
+        }
+
+        if (url.pathname.startsWith('/v1/products')) {
+            const query = decodeURIComponent(url.pathname.slice('/v1/products'.length));
+            return sendJson(res, 200, paginate(searchProducts(query), url.searchParams));
+        }
+
+        // Buying Options API: open-box offers for a list of SKUs
+        if (url.pathname.startsWith('/beta/products/openBox')) {
+            const skus = (decodeURIComponent(url.pathname).match(/sku in\(([\d,]+)\)/)?.[1] || '').split(',').map(Number);
+            return sendJson(res, 200, { results: OPEN_BOX.filter(result => skus.includes(result.sku)) });
+        }
+
+        if (url.pathname === '/chat/completions') {
+            const { messages, response_format: responseFormat } = JSON.parse(body || '{}');
+            // The post-call summary asks OpenAI for a JSON object
+            if (responseFormat?.type === 'json_object') {
+                const summary = { intent: 'Looking for an outdoor TV', outcome: 'resolved', sentiment: 'positive', notes: 'Simulated call summary.' };
+                return sendJson(res, 200, { choices: [{ message: { role: 'assistant', content: JSON.stringify(summary) } }] });
+            }
+            const question = messages?.find(message => message.role === 'user')?.content;
+            return sendJson(res, 200, {
+                choices: [{ message: { role: 'assistant', content: `Simulated answer to: ${question}` } }]
+            });
+        }
+
+        // Twilio REST API: accept any account-scoped POST and echo back a resource
+        const twilioMatch = url.pathname.match(/^\/2010-04-01\/Accounts\/[^/]+\/(\w+)(?:\/(\w+))?\.json$/);
+        if (twilioMatch && req.method === 'POST') {
+            const [, resource, sid] = twilioMatch;
+            return sendJson(res, sid ? 200 : 201, {
+                sid: sid || `${resource === 'Messages' ? 'SM' : 'CA'}simulated${requests.length}`,
+                status: 'queued',
+                ...Object.fromEntries(new URLSearchParams(body))
+            });
+        }
+
+        sendJson(res, 404, { error: `No fake for ${req.method} ${url.pathname}` });
+    });
+
+    server.listen(port);
+    await once(server, 'listening');
+    const baseUrl = `http://localhost:${server.address().port}`;
+
+    return {
+        baseUrl,
+        bestBuyUrl: `${baseUrl}/v1/products`,
+        bestBuyStoresUrl: `${baseUrl}/v1/stores`,
+        bestBuyOpenBoxUrl: `${baseUrl}/beta/products/openBox`,
+        perplexityUrl: `${baseUrl}/chat/completions`,
+        openAiChatUrl: `${baseUrl}/chat/completions`,
+        twilioUrl: baseUrl,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+};
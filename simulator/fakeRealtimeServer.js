@@ -0,0 +1,106 @@
+import { once } from 'node:events';
+import { WebSocketServer } from 'ws';
+import { createEventLog, matching } from './eventLog.js';
+
+// Fake OpenAI Realtime API. Records every client event and lets a script emit server events.
+export const createFakeRealtimeServer = async ({ port = 0 } = {}) => {
+    const wss = new WebSocketServer({ port });
+    await once(wss, 'listening');
+
+    const log = createEventLog();
+    let socket = null;
+    let responseCount = 0;
+
+    const send = (event) => {
+        if (!socket) throw new Error('No Realtime client connected');
+        socket.send(JSON.stringify(event));
+    };
+
+    wss.on('connection', (ws) => {
+        socket = ws;
+        ws.on('message', (data) => {
+            const event = JSON.parse(data);
+            log.push(event);
+            if (event.type === 'session.update') {
+                send({ type: 'session.updated', session: event.session });
+            }
+        });
+        send({ type: 'session.created', session: {} });
+    });
+
+    return {
+        url: `ws://localhost:${wss.address().port}`,
+        received: log.events,
+        send,
+
+        // Wait for a client event of the given type, optionally filtered further
+        waitForEvent: (type, predicate = () => true, options) =>
+            log.waitFor(matching(`Realtime event ${type}`, event => event.type === type && predicate(event)), options),
+
+        // Caller started talking (server VAD)
+        speechStarted: (audioStartMs = 0) => send({
+            type: 'input_audio_buffer.speech_started',
+            audio_start_ms: audioStartMs,
+            item_id: `item_caller_${log.events.length}`
+        }),
+
+        speechStopped: (audioEndMs = 0) => send({
+            type: 'input_audio_buffer.speech_stopped',
+            audio_end_ms: audioEndMs
+        }),
+
+        // Transcription of a caller utterance finished
+        callerTranscript: (itemId, transcript) => send({
+            type: 'conversation.item.input_audio_transcription.completed',
+            item_id: itemId,
+            content_index: 0,
+            transcript
+        }),
+
+        // A new response started generating
+        responseCreated: (responseId = 'resp_sim') => send({
+            type: 'response.created',
+            response: { id: responseId, status: 'in_progress', output: [] }
+        }),
+
+        // One chunk of assistant audio; payload defaults to 20ms of μ-law silence
+        audioDelta: (itemId, payload = Buffer.alloc(160, 0xff).toString('base64'), responseId = 'resp_sim') => send({
+            type: 'response.audio.delta',
+            response_id: responseId,
+            item_id: itemId,
+            output_index: 0,
+            content_index: 0,
+            delta: payload
+        }),
+
+        // Finish a response with the given output items
+        responseDone: (output = [], status = 'completed') => send({
+            type: 'response.done',
+            response: { id: `resp_sim_${++responseCount}`, status, output }
+        }),
+
+        // Finish a response that asks for one or more function calls
+        functionCalls: (calls) => send({
+            type: 'response.done',
+            response: {
+                id: `resp_sim_${++responseCount}`,
+                status: 'completed',
+                output: calls.map(({ name, args, callId }, index) => ({
+                    type: 'function_call',
+                    id: `item_fc_${responseCount}_${index}`,
+                    call_id: callId || `call_${responseCount}_${index}`,
+                    name,
+                    arguments: typeof args === 'string' ? args : JSON.stringify(args)
+                }))
+            }
+        }),
+
+        // Drop the Realtime connection from the server side
+        disconnect: () => socket && socket.terminate(),
+
+        close: () => new Promise(resolve => {
+            wss.clients.forEach(client => client.terminate());
+            wss.close(resolve);
+        })
+    };
+};
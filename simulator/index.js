@@ -0,0 +1,105 @@
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import fetch from 'node-fetch';
+import { createFakeRealtimeServer } from './fakeRealtimeServer.js';
+import { createFakeApis } from './fakeApis.js';
+import { createTwilioClient } from './twilioClient.js';
+import { createMonitorClient } from './monitorClient.js';
+import { createCrmReceiver } from './crmReceiver.js';
+import { createBrowserClient } from './browserClient.js';
+import { settle } from './eventLog.js';
+
+export { createFakeRealtimeServer, createFakeApis, createTwilioClient, createMonitorClient, createCrmReceiver, createBrowserClient, settle };
+
+// Start the fake upstreams and the real server wired to them.
+// config.js reads the environment once, so run one simulation per process.
+export const startSimulation = async ({ env = {} } = {}) => {
+    const realtime = await createFakeRealtimeServer();
+    const apis = await createFakeApis();
+
+    Object.assign(process.env, {
+        OPENAI_API_KEY: 'sk-simulated',
+        PERPLEXITY_API_KEY: 'pplx-simulated',
+        BEST_BUY_API_KEY: 'bby-simulated',
+        OPENAI_REALTIME_URL: realtime.url,
+        BEST_BUY_API_BASE_URL: apis.bestBuyUrl,
+        BEST_BUY_STORES_API_BASE_URL: apis.bestBuyStoresUrl,
+        BEST_BUY_OPEN_BOX_API_BASE_URL: apis.bestBuyOpenBoxUrl,
+        PERPLEXITY_API_URL: apis.perplexityUrl,
+        OPENAI_CHAT_COMPLETIONS_URL: apis.openAiChatUrl,
+        TWILIO_ACCOUNT_SID: 'ACsimulated',
+        TWILIO_AUTH_TOKEN: 'simulated',
+        TWILIO_API_BASE_URL: apis.twilioUrl,
+        TRANSFER_TARGET: '+15555550100',
+        DATA_DIR: path.join(os.tmpdir(), `cypher-simulation-${process.pid}`),
+        POLICY_DOCS_DIR: fileURLToPath(new URL('./fixtures/policies', import.meta.url)),
+        ...env
+    });
+
+    const { buildServer } = await import('../server.js');
+    const { computeTwilioSignature } = await import('../services/twilio.js');
+    const server = buildServer();
+    await server.listen({ port: 0, host: '127.0.0.1' });
+    const { port } = server.server.address();
+
+    // POST the incoming-call webhook the way Twilio would, signed with the auth token. `path` can carry
+    // a query string, e.g. the action URL of a <Gather>.
+    const incomingCall = async (params, { signed = true, path = '/incoming-call' } = {}) => {
+        const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+        if (signed) {
+            headers['X-Twilio-Signature'] = computeTwilioSignature(`https://127.0.0.1:${port}${path}`, params);
+        }
+        const response = await fetch(`http://127.0.0.1:${port}${path}`, {
+            method: 'POST',
+            headers,
+            body: new URLSearchParams(params).toString()
+        });
+        return { status: response.status, twiml: await response.text() };
+    };
+
+    // The <Parameter> elements of the <Stream> in a TwiML response
+    const streamParameters = (twiml) => Object.fromEntries(
+        [...twiml.matchAll(/<Parameter name="([^"]+)" value="([^"]*)" \/>/g)].map(([, name, value]) => [name, value])
+    );
+
+    return {
+        server,
+        realtime,
+        apis,
+        baseUrl: `http://127.0.0.1:${port}`,
+
+        incomingCall,
+
+        // Answer a call through /incoming-call, connect a scripted caller to /media-stream with the
+        // stream parameters from the TwiML, send Twilio's start event and wait for the bridge to configure the session
+        connectCaller: async ({ customParameters, from = '+15555550123', ...options } = {}) => {
+            const { twiml } = await incomingCall({ CallSid: options.callSid || 'CAsimulated', From: from });
+            const after = realtime.received.length;
+            const caller = await createTwilioClient(`ws://127.0.0.1:${port}/media-stream`, options);
+            caller.start({ ...streamParameters(twiml), ...customParameters });
+            await realtime.waitForEvent('session.update', undefined, { after });
+            return caller;
+        },
+
+        // Connect a scripted supervisor to the /monitor console
+        connectMonitor: ({ token = process.env.MONITOR_TOKEN, origin } = {}) =>
+            createMonitorClient(`ws://127.0.0.1:${port}/monitor?token=${encodeURIComponent(token)}`, { origin }),
+
+        // Connect a scripted browser caller to /browser-call and wait for the bridge to configure the session
+        connectBrowserCaller: async ({ persona } = {}) => {
+            const after = realtime.received.length;
+            const caller = await createBrowserClient(`ws://127.0.0.1:${port}/browser-call?token=${encodeURIComponent(process.env.BROWSER_CALL_TOKEN)}`);
+            caller.start(persona);
+            await caller.waitForEvent('started');
+            await realtime.waitForEvent('session.update', undefined, { after });
+            return caller;
+        },
+
+        close: async () => {
+            await server.close();
+            await realtime.close();
+            await apis.close();
+        }
+    };
+};
@@ -0,0 +1,34 @@
+import { once } from 'node:events';
+import WebSocket from 'ws';
+import { createEventLog, matching } from './eventLog.js';
+
+// Scripted supervisor connected to the /monitor console WebSocket
+// `origin` sets the Origin header a browser would send.
+export const createMonitorClient = async (url, { origin } = {}) => {
+    const ws = new WebSocket(url, origin && { origin });
+    const log = createEventLog();
+
+    ws.on('message', (data) => log.push(JSON.parse(data)));
+    await once(ws, 'open');
+
+    return {
+        received: log.events,
+        send: (command) => ws.send(JSON.stringify(command)),
+
+        waitForEvent: (type, predicate = () => true, options) =>
+            log.waitFor(matching(`monitor event ${type}`, event => event.type === type && predicate(event)), options),
+
+        // Resolves with the close code once the server drops the socket
+        waitForClose: async () => {
+            if (ws.readyState === WebSocket.CLOSED) return null;
+            const [code] = await once(ws, 'close');
+            return code;
+        },
+
+        close: async () => {
+            if (ws.readyState === WebSocket.CLOSED) return;
+            ws.close();
+            await once(ws, 'close');
+        }
+    };
+};
@@ -0,0 +1,385 @@
+import assert from 'node:assert/strict';
+import fetch from 'node-fetch';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { decodeMulaw } from '../bridge/audio.js';
+import { createCrmReceiver, createTwilioClient, startSimulation, settle } from './index.js';
+
+// Scripted call through the real /media-stream bridge: greeting playback, barge-in and tool dispatch.
+// Run with `npm run simulate`.
+// The CRM webhook fails its first request, to show the retry, and refuses the Spanish call's summary outright
+const crm = await createCrmReceiver({
+    secret: 'crm-simulated',
+    failFirst: 1,
+    reject: payload => payload.summary.streamSid === 'MZspanish'
+});
+const simulation = await startSimulation({
+    env: {
+        RECORD_CALLS: 'true',
+        BLOCKED_CALLERS: '+15555550199',
+        DTMF_ENTRY_TIMEOUT_MS: '200',
+        OUTBOUND_API_TOKEN: 'outbound-simulated',
+        ADMIN_API_TOKEN: 'admin-simulated',
+        MONITOR_TOKEN: 'monitor-simulated',
+        BROWSER_CALL_TOKEN: 'browser-simulated',
+        CRM_WEBHOOK_URL: crm.url,
+        CRM_WEBHOOK_SECRET: 'crm-simulated',
+        CRM_WEBHOOK_RETRY_DELAY_MS: '20'
+    }
+});
+const { realtime } = simulation;
+
+try {
+    console.log('Scenario: unsigned webhooks, blocked callers and streams without a token are turned away');
+    assert.equal((await simulation.incomingCall({ CallSid: 'CAforged', From: '+15555550123' }, { signed: false })).status, 403);
+    assert.match((await simulation.incomingCall({ CallSid: 'CAblocked', From: '+15555550199' })).twiml, /<Reject/);
+    const intruder = await createTwilioClient(`${simulation.baseUrl.replace('http', 'ws')}/media-stream`, { callSid: 'CAforged' });
+    intruder.start({ persona: 'sales' });
+    assert.equal(await intruder.waitForClose(), 1008);
+    assert.equal(realtime.received.length, 0, 'expected no OpenAI session for the rejected stream');
+    const placeCall = (body, token) => fetch(`${simulation.baseUrl}/outbound-call`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) },
+        body: JSON.stringify(body)
+    });
+    assert.equal((await placeCall({ to: '+15555550123', context: 'Price drop' })).status, 401);
+    assert.equal((await placeCall({ to: '+15555550123', context: 'Price drop' }, 'wrong')).status, 401);
+    assert.equal((await placeCall({ to: '+15555550123', context: 'x'.repeat(1001) }, 'outbound-simulated')).status, 400);
+    const admin = { headers: { Authorization: 'Bearer admin-simulated' } };
+    assert.equal((await fetch(`${simulation.baseUrl}/callers/15555550188`)).status, 401);
+    assert.equal((await fetch(`${simulation.baseUrl}/callers/15555550188`, admin)).status, 404);
+
+    const caller = await simulation.connectCaller();
+    caller.silence(200);
+
+    // 100ms of a constant non-silent μ-law sample per assistant chunk, so it can be found in the recording
+    const chunk = Buffer.alloc(800, 0x10).toString('base64');
+
+    console.log('Scenario: assistant audio is forwarded with a uniquely named mark per chunk');
+    await settle();
+    realtime.speechStopped(200);
+    realtime.responseCreated('resp_greeting');
+    for (let i = 0; i < 3; i++) realtime.audioDelta('item_greeting', chunk, 'resp_greeting');
+    await caller.waitForEvent('mark', () => caller.pendingMarks.length === 3);
+    assert.equal(new Set(caller.pendingMarks).size, 3);
+
+    console.log('Scenario: barge-in cancels the response and truncates to what was heard');
+    caller.silence(100);
+    await settle();
+    caller.ackMarks(1);
+    caller.silence(40);
+    await settle();
+    realtime.speechStarted(caller.timestamp);
+    await caller.waitForEvent('clear');
+    await realtime.waitForEvent('response.cancel');
+    const truncate = await realtime.waitForEvent('conversation.item.truncate');
+    assert.equal(truncate.item_id, 'item_greeting');
+    assert.equal(truncate.audio_end_ms, 140);
+    console.log(`  truncated ${truncate.item_id} at ${truncate.audio_end_ms}ms`);
+
+    console.log('Scenario: audio from the cancelled response is dropped');
+    const mediaBefore = caller.received.filter(event => event.event === 'media').length;
+    realtime.audioDelta('item_greeting', chunk, 'resp_greeting');
+    await settle();
+    assert.equal(caller.received.filter(event => event.event === 'media').length, mediaBefore);
+
+    console.log('Scenario: every function call in a response is answered');
+    const after = realtime.received.length;
+    realtime.functionCalls([
+        { name: 'bestBuySpecificSearch', args: { sku: 6505727 }, callId: 'call_sku' },
+        { name: 'fetchPerplexityResponse', args: { userQuestion: 'When is Black Friday?' }, callId: 'call_web' },
+        { name: 'bestBuyGeneralSearch', args: '{not json', callId: 'call_bad' }
+    ]);
+    await realtime.waitForEvent('response.create', undefined, { after });
+    const outputs = realtime.received
+        .slice(after)
+        .filter(event => event.type === 'conversation.item.create' && event.item.type === 'function_call_output');
+    assert.deepEqual(outputs.map(event => event.item.call_id).sort(), ['call_bad', 'call_sku', 'call_web']);
+    outputs.forEach(event => console.log(`  ${event.item.call_id}: ${event.item.output.slice(0, 100)}`));
+
+    console.log('Scenario: the monitor console lists the call and injects a supervisor instruction');
+    const intruderMonitor = await simulation.connectMonitor({ token: 'wrong' });
+    assert.equal(await intruderMonitor.waitForClose(), 1008);
+    const crossSiteMonitor = await simulation.connectMonitor({ origin: 'https://evil.example' });
+    assert.equal(await crossSiteMonitor.waitForClose(), 1008);
+    const monitor = await simulation.connectMonitor();
+    const { calls } = await monitor.waitForEvent('calls');
+    assert.deepEqual(calls.map(call => call.streamSid), ['MZsimulated']);
+    monitor.send({ type: 'watch', streamSid: 'MZsimulated' });
+    const history = await monitor.waitForEvent('history');
+    assert.ok(history.transcript.some(entry => entry.type === 'tool_result' && entry.callId === 'call_sku'));
+    const beforeInject = realtime.received.length;
+    monitor.send({ type: 'inject', streamSid: 'MZsimulated', text: 'Offer the open-box discount.' });
+    const injected = await realtime.waitForEvent('conversation.item.create', undefined, { after: beforeInject });
+    assert.equal(injected.item.role, 'system');
+    await monitor.waitForEvent('transcript', event => event.entry.type === 'supervisor');
+
+    console.log('Scenario: a dropped Realtime connection reconnects and replays the conversation');
+    await settle();
+    const beforeDrop = realtime.received.length;
+    realtime.disconnect();
+    await settle();
+    caller.silence(100);
+    await realtime.waitForEvent('session.update', undefined, { after: beforeDrop, timeout: 5000 });
+    await realtime.waitForEvent('response.create', undefined, { after: beforeDrop });
+    const replayed = realtime.received.slice(beforeDrop).filter(event => event.type === 'conversation.item.create');
+    assert.deepEqual(
+        replayed.filter(event => event.item.type === 'function_call').map(event => event.item.call_id).sort(),
+        ['call_bad', 'call_sku', 'call_web']
+    );
+    assert.equal(replayed.filter(event => event.item.type === 'function_call_output').length, 3);
+    assert.ok(replayed.some(event => event.item.role === 'system'), 'expected the supervisor instruction to be replayed');
+    await realtime.waitForEvent('input_audio_buffer.append', undefined, { after: beforeDrop });
+    console.log(`  replayed ${replayed.length} conversation items`);
+
+    console.log('Scenario: compareProducts lines up two products and collapses shared specs');
+    const beforeCompare = realtime.received.length;
+    realtime.functionCalls([
+        { name: 'compareProducts', args: { skus: [6505727, 6536963] }, callId: 'call_compare' },
+        { name: 'compareProducts', args: { skus: [6505727] }, callId: 'call_compare_one' }
+    ]);
+    await realtime.waitForEvent('response.create', undefined, { after: beforeCompare });
+    const compareOutputs = Object.fromEntries(realtime.received
+        .slice(beforeCompare)
+        .filter(event => event.type === 'conversation.item.create' && event.item.type === 'function_call_output')
+        .map(event => [event.item.call_id, JSON.parse(event.item.output)]));
+    const comparison = compareOutputs.call_compare;
+    assert.deepEqual(comparison.differingSpecs.map(spec => spec.name), ['Screen Size Class', 'Display Type']);
+    assert.deepEqual(comparison.sharedSpecs, { 'Weather Resistant': 'Yes' });
+    assert.equal(comparison.lowestPrice, 6536963);
+    assert.equal(comparison.highestRated, 6505727);
+    assert.equal(compareOutputs.call_compare_one.error.type, 'invalid_arguments');
+    console.log(`  ${JSON.stringify(comparison.differingSpecs[0])}`);
+
+    console.log('Scenario: general search normalizes terms and relaxes a search with no results');
+    const beforeSearch = realtime.received.length;
+    realtime.functionCalls([{
+        name: 'bestBuyGeneralSearch',
+        args: { searchTerms: ['I want an outdoor television for my Texas patio', 'big'] },
+        callId: 'call_relaxed'
+    }]);
+    const searchOutput = JSON.parse((await realtime.waitForEvent('conversation.item.create',
+        event => event.item.call_id === 'call_relaxed', { after: beforeSearch })).item.output);
+    assert.deepEqual(searchOutput.searchTerms, ['tv', 'outdoor']);
+    assert.deepEqual(searchOutput.relaxations.map(step => step.term || step.type),
+        ['minReviewScore', 'inStoreAvailability', '65', 'texas']);
+    assert.ok(searchOutput.products.length > 0);
+    console.log(`  searched ${searchOutput.searchTerms.join(' ')} after ${searchOutput.relaxations.length} relaxations`);
+    await realtime.waitForEvent('response.create', undefined, { after: beforeSearch });
+
+    console.log('Scenario: policy questions are answered from the local policy documents, with their section');
+    const beforePolicy = realtime.received.length;
+    realtime.functionCalls([
+        { name: 'searchStorePolicies', args: { question: 'What is the return window on opened laptops?' }, callId: 'call_policy_returns' },
+        { name: 'searchStorePolicies', args: { question: 'Does Geek Squad Protection cover drops?' }, callId: 'call_policy_drops' }
+    ]);
+    await realtime.waitForEvent('response.create', undefined, { after: beforePolicy });
+    const policyOutputs = Object.fromEntries(realtime.received.slice(beforePolicy)
+        .filter(event => event.type === 'conversation.item.create' && event.item.type === 'function_call_output')
+        .map(event => [event.item.call_id, JSON.parse(event.item.output)]));
+    const [returnsAnswer] = policyOutputs.call_policy_returns.results;
+    assert.equal(returnsAnswer.document, 'returns.md');
+    assert.equal(returnsAnswer.section, 'Opened items, laptops and computers');
+    assert.match(returnsAnswer.snippet, /Opened laptops/);
+    assert.match(policyOutputs.call_policy_drops.results[0].section, /^Accidental damage/);
+    assert.equal((await fetch(`${simulation.baseUrl}/policies/reload`, { method: 'POST' })).status, 401);
+    const reloaded = await (await fetch(`${simulation.baseUrl}/policies/reload`, { method: 'POST', ...admin })).json();
+    assert.equal(reloaded.documents, 4);
+    console.log(`  ${returnsAnswer.source}: ${returnsAnswer.snippet.slice(0, 80)}…`);
+
+    console.log('Scenario: general search filters, open-box offers and paging by cursor');
+    const callSearch = async (args, callId) => {
+        const before = realtime.received.length;
+        realtime.functionCalls([{ name: 'bestBuyGeneralSearch', args, callId }]);
+        const output = JSON.parse((await realtime.waitForEvent('conversation.item.create',
+            event => event.item.call_id === callId, { after: before })).item.output);
+        await realtime.waitForEvent('response.create', undefined, { after: before });
+        return output;
+    };
+    const firstPage = await callSearch({ searchTerms: ['outdoor tv'], filters: { pageSize: 1, sortPreference: 'price_asc' } }, 'call_page_1');
+    assert.equal(firstPage.totalMatches, 2);
+    assert.deepEqual(firstPage.products.map(product => product.sku), [6536963]);
+    assert.ok(firstPage.nextCursor);
+    const secondPage = await callSearch({ cursor: firstPage.nextCursor }, 'call_page_2');
+    assert.deepEqual(secondPage.products.map(product => product.sku), [6505727]);
+    assert.equal(secondPage.nextCursor, undefined);
+    const unknownCursor = await callSearch({ cursor: '99-2' }, 'call_page_unknown');
+    assert.ok(unknownCursor.error);
+    const filtered = await callSearch({ searchTerms: ['outdoor tv'], filters: { maxPrice: 2000, manufacturers: ['Samsung', 'SunBriteTV'] } }, 'call_filtered');
+    assert.deepEqual(filtered.products.map(product => product.sku), [6536963]);
+    const openBox = await callSearch({ searchTerms: ['outdoor tv'], filters: { openBox: true } }, 'call_open_box');
+    assert.deepEqual(openBox.products.map(product => product.openBoxOffers.length), [2]);
+    assert.equal(openBox.totalMatches, undefined);
+    // The pricier TV has no open-box offer: its page is skipped rather than returned empty
+    const openBoxSkipped = await callSearch({ searchTerms: ['outdoor tv'], filters: { openBox: true, pageSize: 1, sortPreference: 'price_desc' } }, 'call_open_box_skip');
+    assert.deepEqual([openBoxSkipped.page, openBoxSkipped.products.map(product => product.sku)], [2, [6536963]]);
+    assert.equal(openBoxSkipped.nextCursor, undefined);
+    // Only the Samsung is 65", and it has no open-box offer, so the search is relaxed
+    const openBoxRelaxed = await callSearch({ searchTerms: ['outdoor tv', '65'], filters: { openBox: true } }, 'call_open_box_relaxed');
+    assert.deepEqual(openBoxRelaxed.products.map(product => product.sku), [6536963]);
+    assert.ok(openBoxRelaxed.relaxations.some(relaxation => relaxation.type === 'droppedTerm'));
+    console.log(`  page ${firstPage.page}/${firstPage.totalPages} → ${firstPage.nextCursor}, open box from $${openBox.products[0].openBoxOffers[1].price}`);
+
+    console.log('Scenario: keypad entries reach the agent as exact digits, and 0 and * run shortcuts');
+    const pressKeys = async (keys, role) => {
+        const before = realtime.received.length;
+        [...keys].forEach(key => caller.dtmf(key));
+        const item = (await realtime.waitForEvent('conversation.item.create',
+            event => event.item.role === role, { after: before })).item;
+        await realtime.waitForEvent('response.create', undefined, { after: before });
+        return item.content[0].text;
+    };
+    assert.match(await pressKeys('6505727#', 'user'), /typed 6505727 /);
+    assert.match(await pressKeys('12*02139', 'user'), /typed 02139 /);
+    assert.match(await pressKeys('*', 'system'), /last bestBuyGeneralSearch call/);
+    const transferNote = await pressKeys('0', 'system');
+    assert.match(transferNote, /connecting them with a team member/);
+    console.log(`  0 → ${transferNote}`);
+
+    console.log('Scenario: transferToHuman redirects the call after the hand-off line plays');
+    realtime.functionCalls([{ name: 'transferToHuman', args: { reason: 'caller asked for a person' } }]);
+    await realtime.waitForEvent('response.create', undefined, { after: realtime.received.length });
+    realtime.audioDelta('item_handoff');
+    await caller.waitForEvent('mark', event => event.mark, { after: caller.received.length - 1 });
+    realtime.responseDone([{ type: 'message', id: 'item_handoff', role: 'assistant', content: [] }]);
+    await settle();
+    assert.equal(simulation.apis.requests.some(request => request.url.includes('/Calls/')), false);
+    caller.ackMarks();
+    await settle();
+    const redirect = simulation.apis.requests.find(request => request.url.includes('/Calls/CAsimulated.json'));
+    assert.ok(redirect, 'expected the call to be redirected');
+    console.log(`  ${new URLSearchParams(redirect.body).get('Twiml')}`);
+
+    caller.stop();
+    await caller.close();
+    await settle();
+    await monitor.waitForEvent('call_ended');
+    await monitor.close();
+    assert.equal((await fetch(`${simulation.baseUrl}/monitor`)).status, 401);
+    const page = await fetch(`${simulation.baseUrl}/monitor?token=monitor-simulated`);
+    assert.equal(page.status, 200);
+    assert.match(page.headers.get('content-type'), /text\/html/);
+
+    console.log('Scenario: the call summary reaches the CRM webhook on the second attempt');
+    const { payload } = await crm.waitForRequest(200, summary => summary.streamSid === 'MZsimulated');
+    assert.equal(crm.received[0].status, 503);
+    const { summary } = payload;
+    assert.equal(summary.transferred, true);
+    assert.equal(summary.outcome, 'transferred');
+    assert.equal(summary.classifiedBy, 'rules');
+    assert.ok(summary.skusDiscussed.includes(6505727));
+    assert.ok(summary.productsSearched.includes('tv outdoor'));
+    await settle();
+    assert.equal((await fetch(`${simulation.baseUrl}/calls`)).status, 401);
+    assert.equal((await fetch(`${simulation.baseUrl}/calls/MZsimulated/transcript`)).status, 401);
+    const storedCall = await (await fetch(`${simulation.baseUrl}/calls/MZsimulated/transcript`, admin)).json();
+    assert.deepEqual([storedCall.crmExport.delivered, storedCall.crmExport.attempts], [true, 2]);
+    console.log(`  ${summary.outcome}, searched ${summary.productsSearched.join('; ')}, SKUs ${summary.skusDiscussed.join(', ')}`);
+
+    console.log('Scenario: the stereo recording keeps only the greeting audio heard before the barge-in');
+    assert.equal((await fetch(`${simulation.baseUrl}/calls/MZsimulated/recording`)).status, 401);
+    const recording = Buffer.from(await (await fetch(`${simulation.baseUrl}/calls/MZsimulated/recording`, admin)).arrayBuffer());
+    assert.equal(recording.toString('ascii', 0, 4), 'RIFF');
+    assert.equal(recording.readUInt16LE(22), 2);
+    assert.equal(recording.readUInt32LE(24), 8000);
+    let agentSamples = 0;
+    for (let offset = 44; offset < recording.length; offset += 4) {
+        if (recording.readInt16LE(offset + 2) !== 0) agentSamples++;
+    }
+    assert.equal(agentSamples, 140 * 8);
+    console.log(`  ${(recording.length - 44) / 4 / 8000}s recorded, ${agentSamples / 8}ms of agent audio`);
+
+    console.log('Scenario: /metrics reports calls, latency, tools and interruptions');
+    const metrics = await (await fetch(`${simulation.baseUrl}/metrics`)).text();
+    const expected = [
+        'voice_active_calls 0',
+        'voice_call_duration_seconds_count 1',
+        'voice_response_latency_seconds_count 1',
+        'voice_interruptions_total 1',
+        'voice_tool_calls_total{tool="bestBuySpecificSearch",outcome="ok"} 1',
+        'voice_tool_calls_total{tool="bestBuyGeneralSearch",outcome="invalid_json"} 1',
+        'voice_tool_call_duration_seconds_count{tool="transferToHuman"} 1'
+    ];
+    expected.forEach(line => assert.ok(metrics.split('\n').includes(line), `expected metrics line: ${line}`));
+    console.log(`  ${expected.length} expected series present`);
+
+    console.log('Scenario: a language menu picks the persona for the caller\'s keypad choice');
+    const menuCall = { CallSid: 'CAmenu', From: '+15555550123', To: '+15555550101' };
+    const menu = (await simulation.incomingCall(menuCall)).twiml;
+    assert.match(menu, /<Gather numDigits="1"/);
+    assert.match(menu, /<Say language="es-MX">Para español, oprima el 2\.<\/Say>/);
+    const menuAction = menu.match(/action="([^"]+)"/)[1].replace(/&amp;/g, '&');
+    const answered = (await simulation.incomingCall({ ...menuCall, Digits: '2' }, { path: menuAction })).twiml;
+    assert.match(answered, /<Parameter name="persona" value="spanish" \/>/);
+    assert.match(answered, /<Parameter name="languageChosen" value="true" \/>/);
+
+    console.log('Scenario: a caller who speaks Spanish is switched to the Spanish persona');
+    const spanishCaller = await simulation.connectCaller({ callSid: 'CAspanish', streamSid: 'MZspanish' });
+    // As on a real call, the English greeting has played before the caller says anything
+    realtime.responseCreated('resp_es_greeting');
+    realtime.audioDelta('item_es_greeting', undefined, 'resp_es_greeting');
+    realtime.responseDone([{ type: 'message', id: 'item_es_greeting', role: 'assistant', content: [] }]);
+    await spanishCaller.waitForEvent('media');
+    const beforeSpanish = realtime.received.length;
+    realtime.callerTranscript('item_es_1', 'Hola, busco una tele grande para el patio');
+    const switched = (await realtime.waitForEvent('session.update', undefined, { after: beforeSpanish })).session;
+    assert.match(switched.instructions, /Habla siempre en español/);
+    assert.equal(switched.voice, undefined, 'the Realtime API keeps the voice once audio has been generated');
+    assert.equal(switched.input_audio_transcription.language, 'es');
+    const greeting = await realtime.waitForEvent('conversation.item.create', event => event.item.role === 'system', { after: beforeSpanish });
+    assert.match(greeting.item.content[0].text, /¡Hola! Habla Cypher/);
+    await realtime.waitForEvent('response.create', undefined, { after: beforeSpanish });
+    console.log(`  switched instructions with the voice kept, transcription language ${switched.input_audio_transcription.language}`);
+    spanishCaller.stop();
+    await spanishCaller.close();
+
+    console.log('Scenario: a summary the CRM refuses goes to the dead-letter file');
+    await crm.waitForRequest(422, summary => summary.streamSid === 'MZspanish');
+    await settle();
+    const deadLetters = (await readFile(path.join(process.env.DATA_DIR, 'crm-dead-letter.jsonl'), 'utf8'))
+        .trim().split('\n').map(line => JSON.parse(line));
+    assert.equal(deadLetters.length, 1);
+    assert.equal(deadLetters[0].attempts, 1);
+    assert.equal(deadLetters[0].payload.summary.classifiedBy, 'model');
+    assert.equal(deadLetters[0].payload.summary.intent, 'Looking for an outdoor TV');
+    console.log(`  ${deadLetters[0].error}: ${deadLetters[0].payload.summary.intent}`);
+
+    console.log('Scenario: a browser call sends PCM audio that reaches the session as μ-law');
+    assert.equal((await fetch(`${simulation.baseUrl}/browser-call`)).status, 401);
+    const browserCaller = await simulation.connectBrowserCaller({ persona: 'sales' });
+    const beforeBrowser = realtime.received.length;
+    const tone = Buffer.alloc(320);
+    for (let offset = 0; offset < tone.length; offset += 2) tone.writeInt16LE(8000, offset);
+    browserCaller.audio(tone.toString('base64'));
+    const appended = Buffer.from((await realtime.waitForEvent('input_audio_buffer.append', undefined, { after: beforeBrowser })).audio, 'base64');
+    assert.equal(appended.length, 160);
+    decodeMulaw(appended).forEach(sample => assert.ok(Math.abs(sample - 8000) < 300, `expected about 8000, got ${sample}`));
+
+    console.log('Scenario: agent audio is played in the browser as PCM, and a barge-in clears it');
+    realtime.responseCreated('resp_browser');
+    for (let i = 0; i < 2; i++) realtime.audioDelta('item_browser', chunk, 'resp_browser');
+    await browserCaller.waitForEvent('mark', () => browserCaller.pendingMarks.length === 2);
+    const played = browserCaller.received.filter(event => event.type === 'audio').map(event => Buffer.from(event.audio, 'base64'));
+    assert.equal(played.length, 2);
+    assert.equal(played[0].length, 1600);
+    assert.equal(played[0].readInt16LE(0), decodeMulaw([0x10])[0]);
+    for (let i = 0; i < 5; i++) browserCaller.audio();
+    await settle();
+    browserCaller.ackMarks(1);
+    for (let i = 0; i < 2; i++) browserCaller.audio();
+    await settle();
+    const beforeBargeIn = realtime.received.length;
+    realtime.speechStarted(160);
+    await browserCaller.waitForEvent('clear');
+    const browserTruncate = await realtime.waitForEvent('conversation.item.truncate', undefined, { after: beforeBargeIn });
+    assert.equal(browserTruncate.audio_end_ms, 140);
+    assert.equal(browserCaller.pendingMarks.length, 0);
+    await browserCaller.close();
+    const browserSummary = (await crm.waitForRequest(200, summary => summary.channel === 'browser')).payload.summary;
+    assert.equal(browserSummary.callSid, null);
+    console.log(`  truncated ${browserTruncate.item_id} at ${browserTruncate.audio_end_ms}ms; summary for ${browserSummary.streamSid}`);
+    console.log('Simulation finished');
+} finally {
+    await simulation.close();
+    await crm.close();
+}
@@ -0,0 +1,104 @@
+import { once } from 'node:events';
+import WebSocket from 'ws';
+import { createEventLog, matching } from './eventLog.js';
+
+// 20ms of μ-law silence, the frame size Twilio Media Streams sends
+const SILENCE_FRAME = Buffer.alloc(160, 0xff).toString('base64');
+const FRAME_MS = 20;
+
+// Scripted Twilio Media Streams client for exercising /media-stream without a phone call
+export const createTwilioClient = async (url, {
+    streamSid = 'MZsimulated',
+    callSid = 'CAsimulated',
+    autoAckMarks = false
+} = {}) => {
+    const ws = new WebSocket(url);
+    const log = createEventLog();
+    const pendingMarks = [];
+    let sequenceNumber = 0;
+    let timestamp = 0;
+
+    const send = (event) => ws.send(JSON.stringify({ ...event, sequenceNumber: String(++sequenceNumber) }));
+
+    // Twilio echoes a mark once the audio queued before it has played
+    const ackMark = (name) => send({ event: 'mark', streamSid, mark: { name } });
+
+    ws.on('message', (data) => {
+        const event = JSON.parse(data);
+
+        if (event.event === 'mark') {
+            if (autoAckMarks) ackMark(event.mark.name);
+            else pendingMarks.push(event.mark.name);
+        }
+
+        // Clearing the buffer flushes every outstanding mark back to the server
+        if (event.event === 'clear') {
+            pendingMarks.splice(0).forEach(ackMark);
+        }
+
+        log.push(event);
+    });
+
+    await once(ws, 'open');
+
+    return {
+        received: log.events,
+        pendingMarks,
+        get timestamp() {
+            return timestamp;
+        },
+
+        start: (customParameters = {}) => send({
+            event: 'start',
+            streamSid,
+            start: {
+                streamSid,
+                callSid,
+                accountSid: 'ACsimulated',
+                tracks: ['inbound'],
+                customParameters,
+                mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: 8000, channels: 1 }
+            }
+        }),
+
+        // Send one media frame, advancing the media timestamp by 20ms
+        media: (payload = SILENCE_FRAME) => {
+            timestamp += FRAME_MS;
+            send({
+                event: 'media',
+                streamSid,
+                media: { track: 'inbound', chunk: String(timestamp / FRAME_MS), timestamp: String(timestamp), payload }
+            });
+        },
+
+        // Send `ms` worth of caller silence
+        silence(ms) {
+            for (let elapsed = 0; elapsed < ms; elapsed += FRAME_MS) this.media();
+        },
+
+        // Acknowledge the oldest `count` outstanding marks, as if their audio finished playing
+        ackMarks: (count = pendingMarks.length) => {
+            pendingMarks.splice(0, count).forEach(ackMark);
+        },
+
+        dtmf: (digit) => send({ event: 'dtmf', streamSid, dtmf: { track: 'inbound_track', digit } }),
+
+        stop: () => send({ event: 'stop', streamSid, stop: { accountSid: 'ACsimulated', callSid } }),
+
+        waitForEvent: (name, predicate = () => true, options) =>
+            log.waitFor(matching(`Twilio event ${name}`, event => event.event === name && predicate(event)), options),
+
+        // Resolves with the close code once the server drops the stream
+        waitForClose: async () => {
+            if (ws.readyState === WebSocket.CLOSED) return null;
+            const [code] = await once(ws, 'close');
+            return code;
+        },
+
+        close: async () => {
+            if (ws.readyState === WebSocket.CLOSED) return;
+            ws.close();
+            await once(ws, 'close');
+        }
+    };
+};
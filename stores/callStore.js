@@ -0,0 +1,80 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { DATA_DIR } from '../config.js';
+
+const CALLS_DIR = path.join(DATA_DIR, 'calls');
+
+// Writes are chained per call so a slow write never lands after a newer one
+const writeQueues = new Map();
+
+// Stream SIDs come from Twilio, but the REST APIs let anyone ask for one, and they become call and recording file names
+export const isValidStreamSid = (streamSid) => typeof streamSid === 'string' && /^[A-Za-z0-9_-]+$/.test(streamSid);
+
+const callFile = (streamSid) => path.join(CALLS_DIR, `${streamSid}.json`);
+
+// Persist a call record ({ streamSid, callSid, startedAt, endedAt, transcript }) as a JSON file
+export const saveCall = (call) => {
+    if (!isValidStreamSid(call.streamSid)) return Promise.resolve();
+
+    const previous = writeQueues.get(call.streamSid) || Promise.resolve();
+    const snapshot = JSON.stringify(call, null, 2);
+    const next = previous
+        .then(async () => {
+            await fs.mkdir(CALLS_DIR, { recursive: true });
+            await fs.writeFile(callFile(call.streamSid), snapshot);
+        })
+        .catch(error => console.error(`Error saving call ${call.streamSid}:`, error));
+
+    writeQueues.set(call.streamSid, next);
+    next.finally(() => {
+        if (writeQueues.get(call.streamSid) === next) writeQueues.delete(call.streamSid);
+    });
+    return next;
+};
+
+// The arguments of a transcript `tool_call` entry, or {} when the model sent invalid JSON
+export const parseToolCallArguments = (entry) => {
+    try {
+        return JSON.parse(entry.arguments || '{}');
+    } catch {
+        return {};
+    }
+};
+
+// Load a full call record, or null if it does not exist
+export const getCall = async (streamSid) => {
+    if (!isValidStreamSid(streamSid)) return null;
+
+    try {
+        return JSON.parse(await fs.readFile(callFile(streamSid), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+};
+
+// Summaries of every stored call, newest first
+export const listCalls = async () => {
+    let files;
+    try {
+        files = await fs.readdir(CALLS_DIR);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const calls = await Promise.all(files
+        .filter(file => file.endsWith('.json'))
+        .map(file => getCall(path.basename(file, '.json'))));
+
+    return calls
+        .filter(Boolean)
+        .map(({ streamSid, callSid, startedAt, endedAt, transcript }) => ({
+            streamSid,
+            callSid,
+            startedAt,
+            endedAt,
+            entries: transcript.length
+        }))
+        .sort((a, b) => (b.startedAt || '').localeCompare(a.startedAt || ''));
+};
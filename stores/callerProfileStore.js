@@ -0,0 +1,48 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { DATA_DIR } from '../config.js';
+
+const CALLERS_DIR = path.join(DATA_DIR, 'callers');
+
+// Profiles are keyed on the digits of the E.164 number, so "+15551234567" and "15551234567" match
+export const normalizePhoneNumber = (phoneNumber) => {
+    const digits = String(phoneNumber || '').replace(/\D/g, '');
+    return digits.length >= 7 && digits.length <= 15 ? digits : null;
+};
+
+const profileFile = (digits) => path.join(CALLERS_DIR, `${digits}.json`);
+
+// Load a caller profile, or null if the number has never called (or is not a valid number)
+export const getCallerProfile = async (phoneNumber) => {
+    const digits = normalizePhoneNumber(phoneNumber);
+    if (!digits) return null;
+
+    try {
+        return JSON.parse(await fs.readFile(profileFile(digits), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+};
+
+export const saveCallerProfile = async (profile) => {
+    const digits = normalizePhoneNumber(profile.phoneNumber);
+    if (!digits) return;
+
+    await fs.mkdir(CALLERS_DIR, { recursive: true });
+    await fs.writeFile(profileFile(digits), JSON.stringify(profile, null, 2));
+};
+
+// Remove a caller's profile. Resolves true if one existed.
+export const deleteCallerProfile = async (phoneNumber) => {
+    const digits = normalizePhoneNumber(phoneNumber);
+    if (!digits) return false;
+
+    try {
+        await fs.unlink(profileFile(digits));
+        return true;
+    } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+    }
+};
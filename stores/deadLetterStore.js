@@ -0,0 +1,11 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { DATA_DIR } from '../config.js';
+
+// Webhook payloads that could not be delivered, one JSON object per line, for replaying by hand
+const DEAD_LETTER_FILE = path.join(DATA_DIR, 'crm-dead-letter.jsonl');
+
+export const appendDeadLetter = async (entry) => {
+    await fs.mkdir(DATA_DIR, { recursive: true });
+    await fs.appendFile(DEAD_LETTER_FILE, `${JSON.stringify(entry)}\n`);
+};
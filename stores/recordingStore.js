@@ -0,0 +1,58 @@
+import fs from 'node:fs';
+import fsPromises from 'node:fs/promises';
+import path from 'node:path';
+import { DATA_DIR, RECORDING_RETENTION_DAYS } from '../config.js';
+import { isValidStreamSid } from './callStore.js';
+
+const RECORDINGS_DIR = path.join(DATA_DIR, 'recordings');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const recordingFile = (streamSid) => path.join(RECORDINGS_DIR, `${streamSid}.wav`);
+
+// Write a call's WAV file, then delete recordings past the retention period
+export const saveRecording = async (streamSid, wav) => {
+    if (!isValidStreamSid(streamSid)) return;
+
+    await fsPromises.mkdir(RECORDINGS_DIR, { recursive: true });
+    await fsPromises.writeFile(recordingFile(streamSid), wav);
+    await pruneRecordings();
+};
+
+// A read stream and size for a stored recording, or null if there is none
+export const openRecording = async (streamSid) => {
+    if (!isValidStreamSid(streamSid)) return null;
+
+    try {
+        const { size } = await fsPromises.stat(recordingFile(streamSid));
+        return { size, stream: fs.createReadStream(recordingFile(streamSid)) };
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+};
+
+// Delete recordings older than RECORDING_RETENTION_DAYS (0 keeps them forever)
+export const pruneRecordings = async () => {
+    if (!RECORDING_RETENTION_DAYS) return 0;
+
+    let files;
+    try {
+        files = await fsPromises.readdir(RECORDINGS_DIR);
+    } catch (error) {
+        if (error.code === 'ENOENT') return 0;
+        throw error;
+    }
+
+    const cutoff = Date.now() - RECORDING_RETENTION_DAYS * DAY_MS;
+    let removed = 0;
+    for (const file of files.filter(file => file.endsWith('.wav'))) {
+        const filePath = path.join(RECORDINGS_DIR, file);
+        const { mtimeMs } = await fsPromises.stat(filePath);
+        if (mtimeMs < cutoff) {
+            await fsPromises.unlink(filePath);
+            removed++;
+        }
+    }
+    if (removed > 0) console.log(`Deleted ${removed} recording(s) older than ${RECORDING_RETENTION_DAYS} days`);
+    return removed;
+};
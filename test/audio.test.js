@@ -0,0 +1,16 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeMulaw, encodeMulaw, encodeWav } from '../bridge/audio.js';
+
+test('μ-law round-trips every byte', () => {
+    const bytes = Uint8Array.from({ length: 256 }, (_, byte) => byte).filter(byte => byte !== 0x7f);
+    assert.deepEqual([...encodeMulaw(decodeMulaw(bytes))], [...bytes]);
+});
+
+test('WAV channels are interleaved little-endian after a 44-byte header', () => {
+    const wav = encodeWav([Int16Array.of(1, -2), Int16Array.of(300, -32768)]);
+    assert.equal(wav.toString('ascii', 0, 4), 'RIFF');
+    assert.equal(wav.readUInt16LE(22), 2);
+    assert.equal(wav.readUInt32LE(40), 8);
+    assert.deepEqual([0, 1, 2, 3].map(i => wav.readInt16LE(44 + i * 2)), [1, 300, -2, -32768]);
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCache } from '../services/cache.js';
+
+test('a cached value is reused until it expires', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'] });
+    const cache = createCache({ ttlMs: 1000 });
+    let loads = 0;
+    const load = async () => ++loads;
+
+    assert.equal(await cache.wrap('key', load), 1);
+    assert.equal(await cache.wrap('key', load), 1);
+    t.mock.timers.tick(1000);
+    assert.equal(await cache.wrap('key', load), 2);
+    assert.deepEqual(cache.stats(), { hits: 1, misses: 2, coalesced: 0, errors: 0, size: 1, inFlight: 0, hitRate: 1 / 3 });
+});
+
+test('concurrent loads of the same key run once', async () => {
+    const cache = createCache({ ttlMs: 1000 });
+    let loads = 0;
+    const load = () => new Promise(resolve => setImmediate(() => resolve(++loads)));
+
+    assert.deepEqual(await Promise.all([cache.wrap('key', load), cache.wrap('key', load)]), [1, 1]);
+    assert.equal(cache.stats().coalesced, 1);
+});
+
+test('failed loads are not cached', async () => {
+    const cache = createCache({ ttlMs: 1000 });
+    await assert.rejects(cache.wrap('key', async () => { throw new Error('upstream down'); }), /upstream down/);
+    assert.equal(await cache.wrap('key', async () => 'ok'), 'ok');
+    assert.equal(cache.stats().errors, 1);
+});
+
+test('the oldest entry is evicted beyond maxEntries', async () => {
+    const cache = createCache({ ttlMs: 1000, maxEntries: 2 });
+    for (const key of ['a', 'b', 'c']) await cache.wrap(key, async () => key);
+
+    let reloaded = false;
+    await cache.wrap('a', async () => { reloaded = true; return 'a'; });
+    assert.equal(reloaded, true);
+    assert.equal(cache.stats().size, 2);
+});
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { screenCaller } from '../services/callSecurity.js';
+
+// CALLER_MAX_CALLS_PER_HOUR defaults to 10
+
+test('a caller number is rate limited after 10 calls in an hour', (t) => {
+    t.mock.timers.enable({ apis: ['Date'] });
+    for (let i = 0; i < 10; i++) {
+        assert.deepEqual(screenCaller('+15555550111'), { allowed: true });
+    }
+    assert.deepEqual(screenCaller('+15555550111'), { allowed: false, reason: 'rate_limited' });
+    assert.deepEqual(screenCaller('+15555550112'), { allowed: true });
+    t.mock.timers.tick(60 * 60 * 1000);
+    assert.deepEqual(screenCaller('+15555550111'), { allowed: true });
+});
+
+test('callers without a caller ID do not share a limit', () => {
+    for (let i = 0; i < 20; i++) {
+        for (const from of [undefined, 'anonymous', '+266696687', '+7378742833', '+86282452253']) {
+            assert.deepEqual(screenCaller(from), { allowed: true });
+        }
+    }
+});
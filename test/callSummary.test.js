@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+// A Chat Completions endpoint that accepts the request and never answers
+const server = http.createServer(() => {});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+Object.assign(process.env, {
+    OPENAI_API_KEY: 'sk-test',
+    OPENAI_CHAT_COMPLETIONS_URL: `http://127.0.0.1:${server.address().port}/chat/completions`,
+    CALL_SUMMARY_MODEL: 'gpt-4o-mini',
+    CALL_SUMMARY_TIMEOUT_MS: '100'
+});
+const { summarizeCall } = await import('../services/callSummary.js');
+
+const call = {
+    streamSid: 'MZtest',
+    startedAt: '2026-01-01T10:00:00.000Z',
+    endedAt: '2026-01-01T10:02:00.000Z',
+    transcript: [{ type: 'caller', text: 'Do you have outdoor TVs?' }]
+};
+
+test('a stalled model request falls back to the rules', async (t) => {
+    t.after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+    const summary = await summarizeCall(call, {});
+    assert.equal(summary.classifiedBy, 'rules');
+    assert.equal(summary.outcome, 'unknown');
+    assert.equal(summary.sentiment, 'unknown');
+});
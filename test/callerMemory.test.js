@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { updateProfileFromCall } from '../services/callerMemory.js';
+
+const budgetHintsFor = (...utterances) => updateProfileFromCall(null, {
+    callerNumber: '+15555550123',
+    startedAt: '2026-10-19T10:00:00.000Z',
+    endedAt: '2026-10-19T10:05:00.000Z',
+    transcript: utterances.map(text => ({ type: 'caller', text, at: '2026-10-19T10:01:00.000Z' }))
+}).budgetHints.map(hint => hint.text);
+
+test('amounts with a currency marker or after "budget" are budget hints', () => {
+    assert.deepEqual(budgetHintsFor(
+        'Something under $800 please',
+        'up to 500 bucks',
+        'my budget is 1,200',
+        'no more than 300 dollars'
+    ), ['no more than 300 dollars', 'budget is 1,200', 'up to 500 bucks', 'under $800']);
+});
+
+test('plain numbers and amounts with units are not budget hints', () => {
+    assert.deepEqual(budgetHintsFor(
+        'A TV up to 75 inches',
+        'I called about 3 times',
+        'under 40 pounds',
+        'around 500',
+        'budget is 65 inches wide'
+    ), []);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createKeypadCollector } from '../bridge/keypad.js';
+
+const TIMEOUT_MS = 3000;
+
+const createCollector = (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const events = [];
+    const keypad = createKeypadCollector({
+        timeoutMs: TIMEOUT_MS,
+        shortcuts: { 0: 'transfer', '*': 'repeat' },
+        onEntry: digits => events.push(['entry', digits]),
+        onShortcut: (action, key) => events.push(['shortcut', action, key])
+    });
+    const press = (keys) => [...keys].forEach(keypad.press);
+    return { keypad, events, press };
+};
+
+test('# submits the entry', (t) => {
+    const { events, press } = createCollector(t);
+    press('6505727#');
+    assert.deepEqual(events, [['entry', '6505727']]);
+});
+
+test('an entry is submitted after the timeout without a key press', (t) => {
+    const { events, press } = createCollector(t);
+    press('021');
+    t.mock.timers.tick(TIMEOUT_MS - 1);
+    press('39');
+    t.mock.timers.tick(TIMEOUT_MS - 1);
+    assert.deepEqual(events, []);
+    t.mock.timers.tick(1);
+    assert.deepEqual(events, [['entry', '02139']]);
+});
+
+test('a digit shortcut runs only when it is the whole entry', (t) => {
+    const { events, press } = createCollector(t);
+    press('0');
+    t.mock.timers.tick(TIMEOUT_MS);
+    press('02139#');
+    assert.deepEqual(events, [['shortcut', 'transfer', '0'], ['entry', '02139']]);
+});
+
+test('* runs its shortcut on its own, and starts an entry over in the middle of one', (t) => {
+    const { events, press } = createCollector(t);
+    press('*');
+    press('12*02139#');
+    assert.deepEqual(events, [['shortcut', 'repeat', '*'], ['entry', '02139']]);
+});
+
+test('entries are capped at 20 digits and cancel drops a partial entry', (t) => {
+    const { keypad, events, press } = createCollector(t);
+    press('1234567890123456789012345#');
+    press('99');
+    keypad.cancel();
+    t.mock.timers.tick(TIMEOUT_MS);
+    assert.deepEqual(events, [['entry', '12345678901234567890']]);
+});
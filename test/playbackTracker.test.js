@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPlaybackTracker } from '../bridge/playbackTracker.js';
+
+// 100ms of μ-law audio
+const CHUNK_BYTES = 800;
+
+test('mark names are unique and carry the item and byte offset', () => {
+    const playback = createPlaybackTracker();
+    const first = playback.recordChunk({ itemId: 'item_a', responseId: 'resp', bytes: CHUNK_BYTES, mediaTimestamp: 0 });
+    const second = playback.recordChunk({ itemId: 'item_a', responseId: 'resp', bytes: CHUNK_BYTES, mediaTimestamp: 0 });
+    assert.equal(first, 'item_a:800:1');
+    assert.equal(second, 'item_a:1600:2');
+    assert.equal(playback.pendingCount, 2);
+});
+
+test('acknowledging a mark plays everything before it, and stale marks are ignored', () => {
+    const playback = createPlaybackTracker();
+    const names = [0, 1, 2].map(() => playback.recordChunk({ itemId: 'item_a', bytes: CHUNK_BYTES, mediaTimestamp: 0 }));
+
+    assert.equal(playback.acknowledge(names[1], 200), true);
+    assert.equal(playback.pendingCount, 1);
+    assert.equal(playback.acknowledge(names[0], 200), false);
+    assert.equal(playback.acknowledge(names[2], 300), true);
+    assert.equal(playback.isPlaying, false);
+});
+
+test('a barge-in credits the playing chunk with the elapsed time', () => {
+    const playback = createPlaybackTracker();
+    const [first] = [0, 1, 2].map(() => playback.recordChunk({ itemId: 'item_a', bytes: CHUNK_BYTES, mediaTimestamp: '200' }));
+    playback.acknowledge(first, 300);
+
+    assert.deepEqual(playback.interrupt(340), [{ itemId: 'item_a', audioEndMs: 140 }]);
+    assert.equal(playback.isPlaying, false);
+    assert.deepEqual(playback.interrupt(400), []);
+});
+
+test('the credit for the playing chunk is capped at its length', () => {
+    const playback = createPlaybackTracker();
+    playback.recordChunk({ itemId: 'item_a', bytes: CHUNK_BYTES, mediaTimestamp: 0 });
+    playback.recordChunk({ itemId: 'item_b', bytes: CHUNK_BYTES, mediaTimestamp: 0 });
+
+    assert.deepEqual(playback.interrupt(5000), [
+        { itemId: 'item_a', audioEndMs: 100 },
+        { itemId: 'item_b', audioEndMs: 0 }
+    ]);
+});
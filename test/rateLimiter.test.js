@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRateLimiter } from '../services/rateLimiter.js';
+
+// Let queued promise callbacks run
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+test('tasks start at most requestsPerSecond apart, in order', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+    const limiter = createRateLimiter({ requestsPerSecond: 2 });
+    const started = [];
+    const results = [1, 2, 3].map(n => limiter.schedule(() => {
+        started.push(n);
+        return n * 10;
+    }));
+
+    await flush();
+    assert.deepEqual(started, [1]);
+    assert.equal(limiter.queued, 2);
+
+    t.mock.timers.tick(500);
+    await flush();
+    assert.deepEqual(started, [1, 2]);
+
+    t.mock.timers.tick(500);
+    assert.deepEqual(await Promise.all(results), [10, 20, 30]);
+    assert.deepEqual(started, [1, 2, 3]);
+});
+
+test('a failing task rejects only its own promise', async () => {
+    const limiter = createRateLimiter({ requestsPerSecond: 1000 });
+    const failing = limiter.schedule(() => { throw new Error('429'); });
+    const next = limiter.schedule(() => 'ok');
+    await assert.rejects(failing, /429/);
+    assert.equal(await next, 'ok');
+});
+
+test('backOff delays the next task', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+    const limiter = createRateLimiter({ requestsPerSecond: 10 });
+    limiter.backOff(2000);
+    let started = false;
+    const result = limiter.schedule(() => { started = true; });
+
+    t.mock.timers.tick(1999);
+    await flush();
+    assert.equal(started, false);
+    t.mock.timers.tick(1);
+    await result;
+    assert.equal(started, true);
+});
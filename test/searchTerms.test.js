@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeSearchTerms } from '../services/searchTerms.js';
+
+test('spoken requests become atomic Best Buy keywords', () => {
+    assert.deepEqual(normalizeSearchTerms(['I want an outdoor television for my patio', 'big']), ['tv', 'outdoor', '65']);
+    assert.deepEqual(normalizeSearchTerms(['14-inch', 'MacBook', '1 terabyte']), ['macbook', '14', '1tb']);
+});
+
+test('"2-in-1" stays one term instead of a size in inches', () => {
+    assert.deepEqual(normalizeSearchTerms(['2-in-1', 'laptop']), ['laptop', '2-in-1']);
+    assert.deepEqual(normalizeSearchTerms(['2 in 1 laptop']), ['laptop', '2-in-1']);
+    assert.deepEqual(normalizeSearchTerms(['65 in tv']), ['tv', '65']);
+});
+
+test('number words are read as digits before a unit only', () => {
+    assert.deepEqual(normalizeSearchTerms(['one', 'tb']), ['1tb']);
+    assert.deepEqual(normalizeSearchTerms(['I want one tv']), ['tv']);
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateArguments } from '../tools/validate.js';
+
+const schema = {
+    type: 'object',
+    properties: {
+        sku: { type: 'integer', minimum: 1 },
+        zip: { type: 'string', pattern: '^\\d{5}$' },
+        sort: { type: 'string', enum: ['price', 'rating'] },
+        skus: { type: 'array', items: { type: 'number' }, minItems: 2, maxItems: 4 }
+    },
+    required: ['sku'],
+    additionalProperties: false
+};
+
+test('valid arguments have no errors', () => {
+    assert.deepEqual(validateArguments(schema, { sku: 6505727, zip: '02139', sort: 'price', skus: [1, 2.5] }), []);
+});
+
+test('number accepts integers, but integer rejects fractions', () => {
+    assert.deepEqual(validateArguments({ type: 'number' }, 3), []);
+    assert.deepEqual(validateArguments({ type: 'integer' }, 3.5), ['arguments must be of type integer']);
+});
+
+test('a wrong type stops further checks on that value', () => {
+    assert.deepEqual(validateArguments(schema, 'sku'), ['arguments must be of type object']);
+    assert.deepEqual(validateArguments({ type: 'array' }, null), ['arguments must be of type array']);
+});
+
+test('missing and unknown properties are reported', () => {
+    assert.deepEqual(validateArguments(schema, { color: 'red' }), [
+        'arguments.sku is required',
+        'arguments.color is not an allowed property'
+    ]);
+});
+
+test('enum, pattern, minimum and item counts are checked with paths', () => {
+    assert.deepEqual(validateArguments(schema, { sku: 0, zip: '2139', sort: 'name', skus: [1] }), [
+        'arguments.sku must be >= 1',
+        'arguments.zip must match the pattern ^\\d{5}$',
+        'arguments.sort must be one of: price, rating',
+        'arguments.skus must have at least 2 items'
+    ]);
+    assert.deepEqual(validateArguments(schema, { sku: 1, skus: [1, 'two', 3, 4, 5] }), [
+        'arguments.skus must have at most 4 items',
+        'arguments.skus[1] must be of type number'
+    ]);
+});
@@ -0,0 +1,35 @@
+import { bestBuySpecificSearch } from '../services/bestBuy.js';
+import { canTextShortlist } from '../services/shortlist.js';
+
+// Save a product to the call's shortlist, which is texted to the caller at hang-up
+export default {
+    name: 'addToShortlist',
+    description: 'Save a product to the caller\'s shortlist for this call, e.g. when they say "save that one for me". When the call ends, the shortlist is texted to the caller with names, current prices and links.',
+    parameters: {
+        type: 'object',
+        properties: {
+            sku: {
+                type: 'number',
+                description: 'The SKU number of the product to save'
+            }
+        },
+        required: ['sku']
+    },
+    handler: async ({ sku }, { callerNumber, callState = {} }) => {
+        callState.shortlist = callState.shortlist || [];
+
+        if (!callState.shortlist.some(item => item.sku === sku)) {
+            const result = await bestBuySpecificSearch(sku);
+            if (result.error) return result;
+            // Another call in the same response may have added it while we were looking it up
+            if (!callState.shortlist.some(item => item.sku === sku)) {
+                callState.shortlist.push({ sku, name: result.product.name });
+            }
+        }
+
+        return {
+            shortlist: callState.shortlist,
+            textedAtHangUp: canTextShortlist(callerNumber)
+        };
+    }
+};
@@ -0,0 +1,115 @@
+import { bestBuyGeneralSearch, bestBuySearchPage } from '../services/bestBuy.js';
+
+// Searches made during the call, so "anything else?" can page through one by cursor ("<search>-<page>")
+const rememberSearch = (callState, search) => {
+    callState.searches = callState.searches || [];
+    callState.searches.push(search);
+    return callState.searches.length;
+};
+
+const withNextCursor = ({ morePages, ...result }, searchNumber) => {
+    if (result.error || !morePages) return result;
+    return { ...result, nextCursor: `${searchNumber}-${result.page + 1}` };
+};
+
+// Keyword search across the Best Buy catalog
+export default {
+    name: 'bestBuyGeneralSearch',
+    description: 'Search Best Buy products and get recommendations based on customer preferences. Break down customer requests into atomic search terms, always in English even when the conversation is in another language (e.g. "una tele grande para el patio" → ["tv", "outdoor", "65"]). For example: "outdoor tv for patio" → ["tv", "outdoor", "65"], "macbook pro m4 with 1 terabyte storage" → ["macbook", "pro", "m4", "1tb"]. Use unit abbreviations for storage (e.g., "512 gigabytes" → "512gb", "2 terabytes" → "2tb"). Start with product type, then key features, then specifications. Results will be sorted based on customer preferences: by lowest price if budget is mentioned, by highest price if features/specs are prioritized over price, or by customer reviews if no price preference is indicated. Terms are normalized before searching (the result shows the searchTerms actually used). If nothing matches, the search is retried with looser filters and fewer terms; when the result lists relaxations, tell the customer the results are close matches rather than exact ones. When results are sorted by reviews, tell the customer how many total matches there were (totalMatches); open-box searches have no match count. When the customer asks for more results ("anything else?"), call this again with only the nextCursor from the previous result.',
+    parameters: {
+        type: 'object',
+        properties: {
+            searchTerms: {
+                type: 'array',
+                description: 'Keywords to search for (e.g., ["tv", "outdoor"] for outdoor TVs). Required unless cursor is given.',
+                items: {
+                    type: 'string'
+                }
+            },
+            cursor: {
+                type: 'string',
+                description: 'The nextCursor from a previous result, to fetch the next page of that same search. Send it without searchTerms or filters.',
+                pattern: '^\\d+-\\d+$'
+            },
+            filters: {
+                type: 'object',
+                description: 'Optional filters for the search',
+                properties: {
+                    minReviewScore: {
+                        type: 'number',
+                        description: 'Minimum customer review score (1-5)',
+                        minimum: 1,
+                        maximum: 5
+                    },
+                    inStoreAvailability: {
+                        type: 'boolean',
+                        description: 'Filter for in-store availability'
+                    },
+                    pageSize: {
+                        type: 'number',
+                        description: 'Number of results to return (1-10)',
+                        minimum: 1,
+                        maximum: 10
+                    },
+                    sortPreference: {
+                        type: 'string',
+                        description: 'How to sort the results: "price_asc" for lowest price first (budget-conscious), "price_desc" for highest price first (feature-focused), "best_selling", "newest", or omit for sorting by customer reviews',
+                        enum: ['price_asc', 'price_desc', 'best_selling', 'newest']
+                    },
+                    minPrice: {
+                        type: 'number',
+                        description: 'Lowest sale price in dollars',
+                        minimum: 0
+                    },
+                    maxPrice: {
+                        type: 'number',
+                        description: 'Highest sale price in dollars, e.g. 800 for "under $800"',
+                        minimum: 0
+                    },
+                    manufacturers: {
+                        type: 'array',
+                        description: 'Only these brands, e.g. ["Samsung", "LG"] for "only Samsung or LG"',
+                        items: { type: 'string' },
+                        minItems: 1,
+                        maxItems: 5
+                    },
+                    category: {
+                        type: 'string',
+                        description: 'Best Buy category name to search within, e.g. "Laptops" or "Soundbars"'
+                    },
+                    onSale: {
+                        type: 'boolean',
+                        description: 'Only products currently on sale ("what\'s on sale")'
+                    },
+                    freeShipping: {
+                        type: 'boolean',
+                        description: 'Only products with free shipping'
+                    },
+                    openBox: {
+                        type: 'boolean',
+                        description: 'Only products with open-box offers, with their open-box prices. The result has no totalMatches or totalPages, since those would count products without an offer. Pages with no open-box offer are skipped, so an empty result that still has a nextCursor means none were found in the products checked so far.'
+                    }
+                }
+            }
+        }
+    },
+    // Limit results to the caller's chosen store once they have picked one
+    handler: async ({ searchTerms, filters, cursor }, { callState = {} }) => {
+        if (cursor) {
+            const [searchNumber, page] = cursor.split('-').map(Number);
+            const search = callState.searches?.[searchNumber - 1];
+            if (!search) {
+                return { error: `Unknown cursor ${cursor}. Run a new search with searchTerms instead.` };
+            }
+            return withNextCursor(await bestBuySearchPage(search, page), searchNumber);
+        }
+
+        if (!searchTerms?.length) {
+            return { error: 'Give searchTerms for a new search, or a cursor to get more results from a previous one.' };
+        }
+
+        const { search, ...result } = await bestBuyGeneralSearch(searchTerms, filters, { storeId: callState.preferredStore?.storeId });
+        if (result.error) return result;
+        return withNextCursor(result, rememberSearch(callState, search));
+    }
+};
@@ -0,0 +1,18 @@
+import { bestBuySpecificSearch } from '../services/bestBuy.js';
+
+// Detailed lookup of a single Best Buy product by SKU
+export default {
+    name: 'bestBuySpecificSearch',
+    description: 'Get detailed information about a specific Best Buy product using its SKU number. Use this when a customer expresses interest in a specific product from the general search results.',
+    parameters: {
+        type: 'object',
+        properties: {
+            sku: {
+                type: 'number',
+                description: 'The SKU number of the product'
+            }
+        },
+        required: ['sku']
+    },
+    handler: async ({ sku }) => bestBuySpecificSearch(sku)
+};
@@ -0,0 +1,42 @@
+import { bestBuyStoreAvailability } from '../services/bestBuy.js';
+
+// Nearby store stock, pickup and ship-to-home options for a SKU.
+// Checking a specific storeId remembers it as the caller's store for the rest of the call.
+export default {
+    name: 'bestBuyStoreAvailability',
+    description: 'Check whether a Best Buy product is available at stores near the caller, including distance, store hours, in-stock and pickup-today status, and ship-to-home options (service levels and prices, but no delivery dates: never guess one). Ask for the caller\'s ZIP code first. When the caller picks one of the returned stores (or names a store they already use), call this again with that storeId: it becomes their store for the rest of the call and later product searches are limited to it. If the caller already has a store for this call, postalCode and storeId can be omitted.',
+    parameters: {
+        type: 'object',
+        properties: {
+            sku: {
+                type: 'number',
+                description: 'The SKU number of the product'
+            },
+            postalCode: {
+                type: 'string',
+                description: 'Five-digit US ZIP code to search near',
+                pattern: '^\\d{5}$'
+            },
+            storeId: {
+                type: 'number',
+                description: 'A specific store ID the caller has chosen'
+            }
+        },
+        required: ['sku']
+    },
+    handler: async ({ sku, postalCode, storeId }, { callState = {} }) => {
+        const chosenStoreId = storeId || (!postalCode && callState.preferredStore?.storeId);
+        if (!chosenStoreId && !postalCode) {
+            return { error: 'A ZIP code or store ID is needed. Ask the caller for their ZIP code.' };
+        }
+
+        const result = await bestBuyStoreAvailability({ sku, postalCode, storeId: chosenStoreId });
+
+        if (storeId && !result.error) {
+            const store = result.stores.find(entry => entry.storeId === storeId);
+            callState.preferredStore = { storeId, name: store?.name };
+            result.preferredStore = callState.preferredStore;
+        }
+        return result;
+    }
+};
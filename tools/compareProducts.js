@@ -0,0 +1,21 @@
+import { bestBuyCompareProducts } from '../services/bestBuy.js';
+
+// Side-by-side comparison of a few Best Buy products
+export default {
+    name: 'compareProducts',
+    description: 'Compare two to four Best Buy products side by side by SKU, e.g. when the customer asks "what\'s the difference between these two?". Returns prices, sale status, review scores, availability and the specs that differ; specs the products share are collapsed. Use this instead of looking up each product separately, and summarize the key differences briefly.',
+    parameters: {
+        type: 'object',
+        properties: {
+            skus: {
+                type: 'array',
+                description: 'The SKU numbers of the products to compare',
+                items: { type: 'number' },
+                minItems: 2,
+                maxItems: 4
+            }
+        },
+        required: ['skus']
+    },
+    handler: async ({ skus }) => bestBuyCompareProducts(skus)
+};
@@ -0,0 +1,18 @@
+import { fetchPerplexityResponse } from '../services/perplexity.js';
+
+// Internet lookup for current events and general questions
+export default {
+    name: 'fetchPerplexityResponse',
+    description: 'Fetches current information from the internet based on user query. Use this for any questions about current events, news, or information that requires internet access. Do not use it for Best Buy policies; use searchStorePolicies for those.',
+    parameters: {
+        type: 'object',
+        properties: {
+            userQuestion: {
+                type: 'string',
+                description: 'The raw string user query'
+            }
+        },
+        required: ['userQuestion']
+    },
+    handler: async ({ userQuestion }) => fetchPerplexityResponse(userQuestion)
+};
@@ -0,0 +1,34 @@
+const HOROSCOPES = {
+    'Aries': 'Today brings exciting opportunities for leadership. Your energy is contagious!',
+    'Taurus': 'Focus on self-care today. A peaceful moment leads to valuable insights.',
+    'Gemini': 'Your communication skills shine bright today. Share your ideas freely.',
+    'Cancer': 'Trust your intuition today. Home projects bring joy and satisfaction.',
+    'Leo': 'Your creative energy is at its peak. Time to showcase your talents!',
+    'Virgo': 'Details matter today. Your analytical skills lead to important discoveries.',
+    'Libra': 'Balance and harmony are highlighted. Relationships flourish under your care.',
+    'Scorpio': 'Your determination opens new doors. Trust in your inner strength.',
+    'Sagittarius': 'Adventure calls today. Follow your curiosity to new horizons.',
+    'Capricorn': 'Your practical approach yields results. Career goals move forward.',
+    'Aquarius': 'Innovation is your key to success today. Think outside the box!',
+    'Pisces': 'Your imagination brings magic to ordinary situations. Dream big!'
+};
+
+// Basic horoscope tool
+export default {
+    name: 'generate_horoscope',
+    description: 'Give today\'s horoscope for an astrological sign.',
+    parameters: {
+        type: 'object',
+        properties: {
+            sign: {
+                type: 'string',
+                description: 'The sign for the horoscope.',
+                enum: Object.keys(HOROSCOPES)
+            }
+        },
+        required: ['sign']
+    },
+    handler: async ({ sign }) => ({
+        horoscope: HOROSCOPES[sign] || 'Unable to generate horoscope for that sign.'
+    })
+};
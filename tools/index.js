@@ -0,0 +1,102 @@
+import { ENABLED_TOOLS, DISABLED_TOOLS, TOOL_TIMEOUT_MS } from '../config.js';
+import { validateArguments } from './validate.js';
+import { recordToolCall } from '../services/metrics.js';
+import generateHoroscope from './generateHoroscope.js';
+import bestBuySpecificSearch from './bestBuySpecificSearch.js';
+import bestBuyGeneralSearch from './bestBuyGeneralSearch.js';
+import bestBuyStoreAvailability from './bestBuyStoreAvailability.js';
+import compareProducts from './compareProducts.js';
+import fetchPerplexityResponse from './fetchPerplexityResponse.js';
+import searchStorePolicies from './searchStorePolicies.js';
+import transferToHuman from './transferToHuman.js';
+import addToShortlist from './addToShortlist.js';
+import removeFromShortlist from './removeFromShortlist.js';
+
+// Every tool module available to the agent. To add a tool, create a module exporting
+// { name, description, parameters, handler } and list it here.
+export const ALL_TOOLS = [
+    generateHoroscope,
+    bestBuySpecificSearch,
+    bestBuyGeneralSearch,
+    bestBuyStoreAvailability,
+    compareProducts,
+    fetchPerplexityResponse,
+    searchStorePolicies,
+    transferToHuman,
+    addToShortlist,
+    removeFromShortlist
+];
+
+// Tools enabled for this deployment (ENABLED_TOOLS / DISABLED_TOOLS environment variables),
+// optionally narrowed further to a persona's tool list
+export const getEnabledTools = (allowedTools) => ALL_TOOLS.filter(tool =>
+    (ENABLED_TOOLS.length === 0 || ENABLED_TOOLS.includes(tool.name)) &&
+    !DISABLED_TOOLS.includes(tool.name) &&
+    (!allowedTools || allowedTools.includes(tool.name))
+);
+
+// Tool definitions in the shape expected by the Realtime API session.update event
+export const getSessionTools = (allowedTools) => getEnabledTools(allowedTools).map(({ name, description, parameters }) => ({
+    type: 'function',
+    name,
+    description,
+    parameters
+}));
+
+// Look up an enabled tool by name
+export const findTool = (name, allowedTools) => getEnabledTools(allowedTools).find(tool => tool.name === name);
+
+// Error output returned to the model so it can explain the problem or retry out loud
+const toolError = (type, name, message) => ({
+    error: { type, tool: name, message }
+});
+
+// Reject if the handler has not settled within the configured timeout
+const withTimeout = (promise, ms) => {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Validate arguments against the tool's schema and run its handler
+export const executeTool = async (name, args, context = {}) => {
+    const tool = findTool(name, context.allowedTools);
+    if (!tool) {
+        return toolError('unknown_tool', name, `Unknown or disabled tool: ${name}`);
+    }
+
+    const errors = validateArguments(tool.parameters, args);
+    if (errors.length > 0) {
+        return toolError('invalid_arguments', name, `Invalid arguments for ${name}: ${errors.join('; ')}`);
+    }
+
+    try {
+        return await withTimeout(Promise.resolve(tool.handler(args, context)), TOOL_TIMEOUT_MS);
+    } catch (error) {
+        console.error(`Error running tool ${name}:`, error);
+        const type = error.message.startsWith('Timed out') ? 'timeout' : 'tool_error';
+        return toolError(type, name, `${name} failed: ${error.message}`);
+    }
+};
+
+const parseAndExecute = async (functionCall, context) => {
+    let args;
+    try {
+        args = JSON.parse(functionCall.arguments || '{}');
+    } catch (error) {
+        return toolError('invalid_json', functionCall.name, `Could not parse arguments for ${functionCall.name}: ${error.message}`);
+    }
+
+    return executeTool(functionCall.name, args, context);
+};
+
+// Run a function_call item from a Realtime API response, parsing its raw JSON arguments first.
+// Every call is counted and timed for /metrics.
+export const runFunctionCall = async (functionCall, context = {}) => {
+    const startedAt = performance.now();
+    const result = await parseAndExecute(functionCall, context);
+    recordToolCall(functionCall.name, result, performance.now() - startedAt);
+    return result;
+};
@@ -0,0 +1,24 @@
+// Drop a product from the call's shortlist
+export default {
+    name: 'removeFromShortlist',
+    description: 'Remove a product from the caller\'s shortlist for this call.',
+    parameters: {
+        type: 'object',
+        properties: {
+            sku: {
+                type: 'number',
+                description: 'The SKU number of the product to remove'
+            }
+        },
+        required: ['sku']
+    },
+    handler: async ({ sku }, { callState = {} }) => {
+        const shortlist = callState.shortlist || [];
+        if (!shortlist.some(item => item.sku === sku)) {
+            return { error: `SKU ${sku} is not on the shortlist`, shortlist };
+        }
+
+        callState.shortlist = shortlist.filter(item => item.sku !== sku);
+        return { shortlist: callState.shortlist };
+    }
+};
@@ -0,0 +1,23 @@
+import { searchStorePolicies } from '../services/storePolicies.js';
+
+// Best Buy policy answers from the local documents in POLICY_DOCS_DIR
+export default {
+    name: 'searchStorePolicies',
+    description: 'Search Best Buy\'s own policy documents: returns and exchanges, restocking fees, warranties and Geek Squad Protection, price matching and My Best Buy memberships. Use this instead of fetchPerplexityResponse for any policy question, e.g. "what\'s the return window on opened laptops?" or "does Geek Squad Protection cover drops?". Returns the best matching passages, each with its source (document and section). Answer only from the snippets and say which policy section the answer comes from, e.g. "according to our Return and Exchange Policy, under opened items...". If nothing relevant comes back, say you are not sure rather than guessing, and offer to transfer the caller.',
+    parameters: {
+        type: 'object',
+        properties: {
+            question: {
+                type: 'string',
+                description: 'The caller\'s policy question, in English'
+            }
+        },
+        required: ['question']
+    },
+    handler: async ({ question }) => {
+        const results = await searchStorePolicies(question);
+        return results.length > 0
+            ? { question, results }
+            : { question, results, message: 'No store policy matched this question.' };
+    }
+};
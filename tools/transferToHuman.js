@@ -0,0 +1,31 @@
+import { isTransferConfigured } from '../services/transfer.js';
+
+// Hand the caller to a person. The bridge performs the redirect once the agent's hand-off line has played.
+export default {
+    name: 'transferToHuman',
+    description: 'Transfer the caller to a human Best Buy team member. Use this when the caller asks for a person, or when the conversation is stuck and you cannot resolve their request. After calling this, say one short hand-off sentence; the call is transferred as soon as you finish speaking.',
+    parameters: {
+        type: 'object',
+        properties: {
+            reason: {
+                type: 'string',
+                description: 'Short reason for the transfer, e.g. "caller asked for a person" or "order issue needs account access"'
+            }
+        },
+        required: ['reason']
+    },
+    handler: async ({ reason }, { callSid, callState = {} }) => {
+        if (!isTransferConfigured()) {
+            return { error: 'Transfers are not available right now. Apologize and keep helping the caller yourself.' };
+        }
+        if (!callSid) {
+            return { error: 'This call cannot be transferred.' };
+        }
+
+        callState.pendingTransfer = { reason };
+        return {
+            status: 'transfer_pending',
+            instructions: 'Tell the caller, in one short sentence, that you are connecting them with a team member now. Do not ask any further questions.'
+        };
+    }
+};
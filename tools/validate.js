@@ -0,0 +1,74 @@
+// Minimal JSON Schema checker covering the subset used by tool parameter definitions:
+// type, properties, required, enum, pattern, items, minItems/maxItems, minimum/maximum and additionalProperties.
+const typeOf = (value) => {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+};
+
+const matchesType = (expected, value) => {
+    const actual = typeOf(value);
+    if (expected === 'number') return actual === 'number' || actual === 'integer';
+    return actual === expected;
+};
+
+// Returns a list of human-readable problems; an empty list means the value is valid
+export const validateArguments = (schema, value, path = 'arguments') => {
+    const errors = [];
+
+    if (schema.type && !matchesType(schema.type, value)) {
+        errors.push(`${path} must be of type ${schema.type}`);
+        return errors;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push(`${path} must match the pattern ${schema.pattern}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path} must be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path} must be <= ${schema.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path} must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${path} must have at most ${schema.maxItems} items`);
+        }
+    }
+
+    if (schema.type === 'array' && schema.items) {
+        value.forEach((item, index) => {
+            errors.push(...validateArguments(schema.items, item, `${path}[${index}]`));
+        });
+    }
+
+    if (schema.type === 'object') {
+        const properties = schema.properties || {};
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push(`${path}.${key} is required`);
+            }
+        }
+        for (const [key, propertyValue] of Object.entries(value)) {
+            if (properties[key]) {
+                errors.push(...validateArguments(properties[key], propertyValue, `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key} is not an allowed property`);
+            }
+        }
+    }
+
+    return errors;
+};